@@ -0,0 +1,65 @@
+module.exports = Cache;
+
+/**
+ * Initialize a least-recently-used cache holding at most `max` entries.
+ *
+ * @param {Number} max
+ * @returns {Cache}
+ * @private
+ */
+
+function Cache(max) {
+  this.max = max;
+  this.entries = new Map();
+};
+
+/**
+ * Returns the value cached for `key` and marks it as most recently used.
+ *
+ * @param {String} key
+ * @returns {*} undefined when `key` is not cached
+ * @private
+ */
+
+Cache.prototype.get = function (key) {
+  var value = this.entries.get(key);
+
+  if (value !== undefined) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+  }
+
+  return value;
+};
+
+/**
+ * Cache `value` for `key`, evicting the least recently used entry when full.
+ *
+ * @param {String} key
+ * @param {*} value
+ * @returns {Cache}
+ * @private
+ */
+
+Cache.prototype.set = function (key, value) {
+  this.entries.delete(key);
+  this.entries.set(key, value);
+
+  if (this.entries.size > this.max) {
+    this.entries.delete(this.entries.keys().next().value);
+  }
+
+  return this;
+};
+
+/**
+ * Remove all entries.
+ *
+ * @returns {Cache}
+ * @private
+ */
+
+Cache.prototype.clear = function () {
+  this.entries.clear();
+  return this;
+};
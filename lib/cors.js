@@ -0,0 +1,117 @@
+module.exports = cors;
+
+/**
+ * Returns middleware handling CORS for the routes of `router`. Preflight
+ * requests are answered with the methods the routes matching the path
+ * allow; other requests from an allowed origin get the CORS response
+ * headers. Routes may override `options` with their `cors` option, or opt
+ * out with `cors: false`.
+ *
+ * @param {Router} router
+ * @param {Object=} options see `Router#cors()`
+ * @returns {Function}
+ * @private
+ */
+
+function cors(router, options) {
+  options = options || {};
+
+  return function corsMiddleware(ctx, next) {
+    var origin = ctx.get('Origin');
+    // 响应随Origin变化时，没有或不允许的Origin的响应也要告知缓存
+    if (varies(options)) ctx.vary('Origin');
+    if (!origin) return next();
+
+    var path = router.opts.routerPath || ctx.routerPath || ctx.path;
+    var requested = ctx.get('Access-Control-Request-Method');
+    var preflight = ctx.method === 'OPTIONS' && !!requested;
+    var method = preflight ? requested.toUpperCase() : ctx.method;
+    var layers = router.match(path, method, { host: ctx.hostname }).path;
+
+    var allowed = [];
+    var opts = options;
+    layers.forEach(function (layer) {
+      layer.methods.forEach(function (m) {
+        if (!~allowed.indexOf(m)) allowed.push(m);
+      });
+      // 路由的cors选项覆盖router的配置
+      if (~layer.methods.indexOf(method) && layer.opts.cors !== undefined) {
+        opts = layer.opts.cors && Object.assign({}, opts, layer.opts.cors);
+      }
+    });
+
+    if (!allowed.length || !opts) return next();
+    if (varies(opts)) ctx.vary('Origin');
+
+    var allowOrigin = resolveOrigin(opts, origin, ctx);
+    if (!allowOrigin) return next();
+
+    var headers = {};
+    headers['Access-Control-Allow-Origin'] = allowOrigin;
+    if (opts.credentials) headers['Access-Control-Allow-Credentials'] = 'true';
+    if (allowOrigin !== '*') ctx.vary('Origin');
+
+    if (preflight) {
+      headers['Access-Control-Allow-Methods'] = allowed.join(', ');
+      var allowHeaders = opts.allowHeaders || ctx.get('Access-Control-Request-Headers');
+      if (allowHeaders.length) headers['Access-Control-Allow-Headers'] = [].concat(allowHeaders).join(', ');
+      if (opts.maxAge !== undefined) headers['Access-Control-Max-Age'] = String(opts.maxAge);
+
+      ctx.set(headers);
+      ctx.status = 204;
+      return;
+    }
+
+    if (opts.exposeHeaders) headers['Access-Control-Expose-Headers'] = [].concat(opts.exposeHeaders).join(', ');
+    ctx.set(headers);
+
+    return next().catch(function (err) {
+      // koa clears the response headers for errors, except those on the error
+      err.headers = Object.assign({}, err.headers, headers);
+      throw err;
+    });
+  };
+}
+
+/**
+ * Returns whether the CORS headers of `opts` depend on the request origin,
+ * which is the case unless every origin is allowed without credentials.
+ *
+ * @param {Object} opts
+ * @returns {Boolean}
+ * @private
+ */
+
+function varies(opts) {
+  return !!opts.credentials || (opts.origin !== undefined && opts.origin !== '*');
+}
+
+/**
+ * Returns the `Access-Control-Allow-Origin` value for a request from
+ * `origin`, or `false` when the origin is not allowed.
+ *
+ * @param {Object} opts
+ * @param {String} origin
+ * @param {Object} ctx
+ * @returns {String|Boolean}
+ * @private
+ */
+
+function resolveOrigin(opts, origin, ctx) {
+  var allow = opts.origin === undefined ? '*' : opts.origin;
+
+  if (typeof allow === 'function') allow = allow(origin, ctx);
+  if (!allow) return false;
+  if (allow === true) return origin;
+
+  if (allow === '*') {
+    // credentials may not be combined with a wildcard origin
+    return opts.credentials ? origin : '*';
+  }
+
+  var matches = [].concat(allow).some(function (candidate) {
+    return candidate instanceof RegExp ? candidate.test(origin) : candidate === origin;
+  });
+
+  return matches ? origin : false;
+}
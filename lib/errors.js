@@ -0,0 +1,16 @@
+exports.routeNotFound = routeNotFound;
+
+/**
+ * Returns the error thrown for a route name no route has, with the code
+ * `ERR_ROUTE_NOT_FOUND`.
+ *
+ * @param {String} name
+ * @returns {Error}
+ * @private
+ */
+
+function routeNotFound(name) {
+  var err = new Error("No route found for name: " + name);
+  err.code = 'ERR_ROUTE_NOT_FOUND';
+  return err;
+}
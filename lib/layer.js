@@ -2,6 +2,9 @@ var debug = require('debug')('koa-router');
 // https://github.com/pillarjs/path-to-regexp
 var pathToRegExp = require('path-to-regexp');
 var uri = require('urijs');
+var accepts = require('accepts');
+var typeis = require('type-is');
+var types = require('./types');
 
 module.exports = Layer;
 
@@ -15,6 +18,12 @@ module.exports = Layer;
  * @param {String=} opts.name route name
  * @param {String=} opts.sensitive case sensitive (default: false)
  * @param {String=} opts.strict require the trailing slash (default: false)
+ * @param {String|RegExp=} opts.host hostname the route is restricted to
+ * @param {String|Array.<String>=} opts.version API version(s) served
+ * @param {Array.<String>=} opts.consumes request content types accepted
+ * @param {Array.<String>=} opts.produces response content types produced
+ * @param {Object=} opts.meta route metadata used for documentation
+ * @param {Object=} opts.validate request schemas checked before `middleware`
  * @returns {Layer}
  * @private
  */
@@ -28,6 +37,11 @@ function Layer(path, methods, middleware, opts) {
   this.methods = [];
   // 路由参数名数组
   this.paramNames = [];
+  // 路由所服务的API版本，为空时服务所有版本
+  this.versions = [].concat(this.opts.version || []).map(String);
+  // 路由接受的请求Content-Type和能够响应的类型，为空时不限制
+  this.consumes = [].concat(this.opts.consumes || []).map(mediaType);
+  this.produces = [].concat(this.opts.produces || []).map(mediaType);
   // 路由处理middleware
   this.stack = Array.isArray(middleware) ? middleware : [middleware];
 
@@ -52,22 +66,125 @@ function Layer(path, methods, middleware, opts) {
   }, this);
   // 赋值path
   this.path = path;
-  // 通过pathToRegExp将path转成正则形式
-  this.regexp = pathToRegExp(path, this.paramNames, this.opts);
+  // 通过pathToRegExp将path转成正则形式，`:id<int>` 这样的类型参数会使用类型的正则
+  this.regexp = types.toRegExp(path, this.paramNames, this.opts);
+  // 限定的主机名，如 `:tenant.example.com`
+  this.setHost(this.opts.host);
 
   debug('defined route %s %s', this.methods, this.opts.prefix + this.path);
 };
 
 /**
- * Returns whether request `path` matches route.
+ * Returns whether request `path` matches route, and request `host` matches
+ * the hostname the route is restricted to, if any. Segments of typed params
+ * must also pass the `test` of their type.
  *
  * @param {String} path
+ * @param {String=} host request hostname
  * @returns {Boolean}
  * @private
  */
 // 判断path是否符合实例化时的regexp
-Layer.prototype.match = function (path) {
-  return this.regexp.test(path);
+Layer.prototype.match = function (path, host) {
+  if (this.hostRegexp && !(host && this.hostRegexp.test(host))) return false;
+  if (!this.regexp.test(path)) return false;
+  if (!this.paramNames.some(tested)) return true;
+
+  // 类型参数的片段还要通过类型的test，如不存在的日期
+  var captures = path.match(this.regexp).slice(1);
+  return this.paramNames.every(function (token, i) {
+    return !captures[i] || !tested(token) || types.get(token.type).test(safeDecodeURIComponent(captures[i]));
+  });
+};
+
+/**
+ * Returns which request constraint the route does not meet: `'versions'`
+ * when it does not serve the API version asked for, `'consumes'` when it
+ * does not accept the request's content type, `'produces'` when it cannot
+ * produce a type the request accepts. Returns `null` when all are met.
+ *
+ * Requests without a content type, accept header or version meet the
+ * respective constraint.
+ *
+ * @param {Object=} constraints
+ * @param {String=} constraints.version API version asked for
+ * @param {String=} constraints.type request `Content-Type` header
+ * @param {String=} constraints.accept request `Accept` header
+ * @returns {String|null}
+ * @private
+ */
+
+Layer.prototype.unmet = function (constraints) {
+  var c = constraints || {};
+
+  if (c.version && this.versions.length && !~this.versions.indexOf(c.version)) {
+    return 'versions';
+  }
+  if (c.type && this.consumes.length && !typeis.is(c.type, this.consumes)) {
+    return 'consumes';
+  }
+  if (c.accept && this.produces.length && !this.negotiate(c.accept)) {
+    return 'produces';
+  }
+
+  return null;
+};
+
+/**
+ * Returns the type the route produces that suits `accept` best, or `false`.
+ *
+ * @param {String} accept request `Accept` header
+ * @returns {String|Boolean}
+ * @private
+ */
+
+Layer.prototype.negotiate = function (accept) {
+  return accepts({ headers: { accept: accept } }).types(this.produces);
+};
+
+/**
+ * Returns map of hostname parameters captured from `host`, added to
+ * `existingParams`.
+ *
+ * @param {String} host
+ * @param {Object=} existingParams
+ * @returns {Object}
+ * @private
+ */
+
+Layer.prototype.hostParams = function (host, existingParams) {
+  var params = existingParams || {};
+  if (!this.hostRegexp) return params;
+
+  var captures = host.match(this.hostRegexp).slice(1);
+
+  for (var len = captures.length, i=0; i<len; i++) {
+    if (this.hostNames[i] && captures[i] !== undefined) {
+      params[this.hostNames[i].name] = captures[i];
+    }
+  }
+
+  return params;
+};
+
+/**
+ * Restrict the route to hostnames matching `host`: an exact hostname, a
+ * pattern with parameters such as `:tenant.example.com`, or a regular
+ * expression. Ports are not part of the hostname.
+ *
+ * @param {String|RegExp=} host
+ * @returns {Layer}
+ * @private
+ */
+
+Layer.prototype.setHost = function (host) {
+  this.host = host || null;
+  this.hostNames = [];
+  this.hostRegexp = host
+    ? pathToRegExp(host, this.hostNames, { delimiter: '.', sensitive: false, end: true })
+    : null;
+
+  return this;
 };
 
 /**
@@ -86,7 +203,9 @@ Layer.prototype.params = function (path, captures, existingParams) {
   for (var len = captures.length, i=0; i<len; i++) {
     if (this.paramNames[i]) {
       var c = captures[i];
-      params[this.paramNames[i].name] = c ? safeDecodeURIComponent(c) : c;
+      var type = this.paramNames[i].type;
+      c = c ? safeDecodeURIComponent(c) : c;
+      params[this.paramNames[i].name] = c && type ? types.get(type).parse(c) : c;
     }
   }
 
@@ -109,23 +228,34 @@ Layer.prototype.captures = function (path) {
 /**
  * Generate URL for route using given `params`.
  *
+ * The path is compiled once, until a prefix changes it. Params are checked
+ * against the route before the URL is built: missing params, arrays for
+ * params which do not repeat and values not matching the param's pattern or
+ * type throw a `TypeError` with the `code` `ERR_MISSING_PARAM` or
+ * `ERR_INVALID_PARAM`. Repeated params such as `:path+` take arrays.
+ *
  * @example
  *
  * ```javascript
  * var route = new Layer(['GET'], '/users/:id', fn);
  *
  * route.url({ id: 123 }); // => "/users/123"
+ * route.url({ id: 123 }, { query: { tab: 'posts' }, hash: 'latest' });
+ * // => "/users/123?tab=posts#latest"
  * ```
  *
  * @param {Object} params url parameters
+ * @param {Object=} options
+ * @param {Object|String=} options.query query string or parameters
+ * @param {String=} options.hash URL fragment
  * @returns {String}
  * @private
  */
 
 Layer.prototype.url = function (params, options) {
   var args = params;
-  var url = this.path.replace(/\(\.\*\)/g, '');
-  var toPath = pathToRegExp.compile(url);
+  var compiled = compileUrl(this);
+  var tokens = compiled.tokens;
   var replaced;
 
   if (typeof params != 'object') {
@@ -136,24 +266,25 @@ Layer.prototype.url = function (params, options) {
     }
   }
 
-  var tokens = pathToRegExp.parse(url);
   var replace = {};
 
   if (args instanceof Array) {
     for (var len = tokens.length, i=0, j=0; i<len; i++) {
-      if (tokens[i].name) replace[tokens[i].name] = args[j++];
+      if (typeof tokens[i] !== 'string') replace[tokens[i].name] = args[j++];
     }
-  } else if (tokens.some(token => token.name)) {
+  } else if (tokens.some(token => typeof token !== 'string')) {
     replace = params;
-  } else {
+  } else if (!options) {
+    // 路由没有参数时，唯一的对象参数即为options
     options = params;
   }
 
-  replaced = toPath(replace);
+  replaced = compiled.toPath(format(this, tokens, replace));
 
-  if (options && options.query) {
+  if (options && (options.query || options.hash)) {
     var replaced = new uri(replaced)
-    replaced.search(options.query);
+    if (options.query) replaced.search(options.query);
+    if (options.hash) replaced.fragment(options.hash);
     return replaced.toString();
   }
 
@@ -163,6 +294,9 @@ Layer.prototype.url = function (params, options) {
 /**
  * Run validations on route named parameters.
  *
+ * Deprecated: routers no longer add param middleware to their layers, they
+ * look it up when dispatching. Use `router.param()` instead.
+ *
  * @example
  *
  * ```javascript
@@ -180,6 +314,7 @@ Layer.prototype.url = function (params, options) {
  * @param {String} param
  * @param {Function} middleware
  * @returns {Layer}
+ * @deprecated
  * @private
  */
 
@@ -212,6 +347,29 @@ Layer.prototype.param = function (param, fn) {
   return this;
 };
 
+/**
+ * Replace the route middleware with `middleware`.
+ *
+ * @param {Array.<Function>} middleware
+ * @returns {Layer}
+ * @private
+ */
+
+Layer.prototype.replace = function (middleware) {
+  middleware.forEach(function (fn) {
+    if (typeof fn !== 'function') {
+      throw new Error(
+        this.methods.toString() + " `" + (this.name || this.path) + "`: `middleware` "
+        + "must be a function, not `" + (typeof fn) + "`"
+      );
+    }
+  }, this);
+
+  this.stack = middleware;
+
+  return this;
+};
+
 /**
  * Prefix route path.
  *
@@ -224,12 +382,216 @@ Layer.prototype.setPrefix = function (prefix) {
   if (this.path) {
     this.path = prefix + this.path;
     this.paramNames = [];
-    this.regexp = pathToRegExp(this.path, this.paramNames, this.opts);
+    this.regexp = types.toRegExp(this.path, this.paramNames, this.opts);
   }
 
   return this;
 };
 
+/**
+ * Returns a plain description of the route, detached from the layer's
+ * internal `regexp`, `paramNames` and `stack`.
+ *
+ * @example
+ *
+ * ```javascript
+ * var route = new Layer('/users/:id?', ['GET'], function show() {});
+ *
+ * route.describe();
+ * // => {
+ * //   name: null,
+ * //   methods: ['HEAD', 'GET'],
+ * //   path: '/users/:id?',
+ * //   host: null,
+ * //   versions: [],
+ * //   consumes: [],
+ * //   produces: [],
+ * //   params: [{ name: 'id', type: null, modifier: '?', optional: true, repeat: false }],
+ * //   middleware: { count: 1, names: ['show'] },
+ * //   sensitive: false,
+ * //   strict: false,
+ * //   end: true
+ * // }
+ * ```
+ *
+ * @returns {Object}
+ * @private
+ */
+
+Layer.prototype.describe = function () {
+  var middleware = this.stack;
+
+  return {
+    name: this.name,
+    methods: this.methods.slice(),
+    path: String(this.path),
+    host: this.host ? String(this.host) : null,
+    versions: this.versions.slice(),
+    consumes: this.consumes.slice(),
+    produces: this.produces.slice(),
+    params: this.paramNames.map(function (token) {
+      return {
+        name: token.name,
+        type: token.type || null,
+        modifier: token.optional ? (token.repeat ? '*' : '?') : (token.repeat ? '+' : ''),
+        optional: token.optional,
+        repeat: token.repeat
+      };
+    }),
+    middleware: {
+      count: middleware.length,
+      names: middleware.map(function (fn) {
+        return fn.name || '<anonymous>';
+      })
+    },
+    sensitive: !!this.opts.sensitive,
+    strict: !!this.opts.strict,
+    end: this.opts.end !== false
+  };
+};
+
+/**
+ * Returns a copy of `params` with values of typed parameters formatted by
+ * their type, such as dates turned into ISO strings, after checking every
+ * parameter of the route is given and matches its pattern or type.
+ *
+ * @param {Layer} layer
+ * @param {Array} tokens
+ * @param {Object} params
+ * @returns {Object}
+ * @private
+ */
+
+function format(layer, tokens, params) {
+  var formatted = {};
+  var route = layer.name ? 'route `' + layer.name + '`' : '`' + layer.path + '`';
+
+  Object.keys(params || {}).forEach(function (key) {
+    formatted[key] = params[key];
+  });
+
+  tokens.forEach(function (token) {
+    if (typeof token === 'string') return;
+
+    var type = token.type && types.get(token.type);
+    var value = formatted[token.name];
+    var pattern = new RegExp('^(?:' + (type ? type.pattern : token.pattern) + ')$');
+
+    var segment = function (v) {
+      // toISOString() throws a RangeError for invalid dates
+      if (v instanceof Date && isNaN(v.getTime())) {
+        throw paramError('ERR_INVALID_PARAM', 'Expected "' + token.name
+          + '" to be a valid date, but received `Invalid Date`');
+      }
+      v = type && type.format ? type.format(v) : v;
+      if (Array.isArray(v)) {
+        throw paramError('ERR_INVALID_PARAM', 'Expected "' + token.name
+          + '" to be a single value, but received `' + JSON.stringify(v) + '`');
+      }
+      if (type && !(pattern.test(String(v)) && (!type.test || type.test(String(v))))) {
+        throw paramError('ERR_INVALID_PARAM', 'Expected "' + token.name + '" to be of type `'
+          + token.type + '`, but received `' + JSON.stringify(v) + '`');
+      }
+      // untyped values are matched encoded, as path-to-regexp does
+      if (!type && !pattern.test(encodeURIComponent(String(v)))) {
+        throw paramError('ERR_INVALID_PARAM', 'Expected "' + token.name + '" to match `'
+          + token.pattern + '`, but received `' + JSON.stringify(v) + '`');
+      }
+      return v;
+    };
+
+    if (value == null || value === '' || (token.repeat && Array.isArray(value) && !value.length)) {
+      if (token.optional) return;
+      throw paramError('ERR_MISSING_PARAM', 'Missing param "' + token.name + '" for ' + route);
+    }
+
+    formatted[token.name] = token.repeat && Array.isArray(value)
+      ? value.map(segment)
+      : segment(value);
+  });
+
+  return formatted;
+}
+
+/**
+ * Returns a `TypeError` with `message` and the given `code`.
+ *
+ * @param {String} code
+ * @param {String} message
+ * @returns {TypeError}
+ * @private
+ */
+
+function paramError(code, message) {
+  var err = new TypeError(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Returns the tokens and path function for generating URLs of `layer`,
+ * compiled on first use and again after a prefix changed the path.
+ *
+ * @param {Layer} layer
+ * @returns {Object}
+ * @private
+ */
+
+function compileUrl(layer) {
+  if (layer._url && layer._url.path === layer.path) return layer._url;
+
+  var tokens = types.parse(layer.path.replace(/\(\.\*\)/g, ''));
+  layer._url = {
+    path: layer.path,
+    tokens: tokens,
+    toPath: pathToRegExp.tokensToFunction(tokens.map(untyped))
+  };
+
+  return layer._url;
+}
+
+/**
+ * Returns `token` accepting any segment when it is typed. Typed values are
+ * checked by `format()` before being encoded, because encoding may break
+ * the type's pattern, such as the colons of a date.
+ *
+ * @param {Object|String} token
+ * @returns {Object|String}
+ * @private
+ */
+
+function untyped(token) {
+  if (typeof token === 'string' || !token.type) return token;
+  return Object.assign({}, token, { pattern: '[\\s\\S]+' });
+}
+
+/**
+ * Returns the media type for `type`, which may be shorthand like `json`.
+ *
+ * @param {String} type
+ * @returns {String}
+ * @private
+ */
+
+function mediaType(type) {
+  var normalized = typeis.normalize(type);
+  if (!normalized) throw new Error('Unknown content type `' + type + '`');
+  return normalized;
+}
+
+/**
+ * Returns whether the type of param `token` has a `test` for segments.
+ *
+ * @param {Object} token
+ * @returns {Boolean}
+ * @private
+ */
+
+function tested(token) {
+  var type = token.type && types.get(token.type);
+  return !!(type && type.test);
+}
+
 /**
  * Safe decodeURIComponent, won't throw any error.
  * If `decodeURIComponent` error happen, just return the original value.
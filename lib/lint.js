@@ -0,0 +1,239 @@
+var types = require('./types');
+var specificity = require('./specificity');
+
+module.exports = lint;
+
+/**
+ * Returns the conflicts between `layers`, in registration order.
+ *
+ * @param {Array.<Layer>} layers
+ * @param {String=} order the router's `order` option
+ * @returns {Array.<Object>}
+ * @private
+ */
+
+function lint(layers, order) {
+  return layers.reduce(function (problems, layer, i) {
+    return problems.concat(lint.layer(layers.slice(0, i), layer, order));
+  }, []);
+}
+
+/**
+ * Returns the conflicts of `layer` with the layers registered before it.
+ * Each conflict has a `type`:
+ *
+ * - `duplicate`: both routes match the same paths
+ * - `unreachable`: the earlier route matches every path `layer` does, so
+ *   `layer` only runs when the earlier route calls `next()`
+ * - `ambiguous`: some paths match both routes, and the earlier one wins
+ *
+ * Middleware added with `router.use()` never conflicts. Paths with optional
+ * or repeated parameters are only checked for unreachable static routes.
+ * With `order` set to `'specificity'`, a route more specific than an earlier
+ * one wins wherever both match and only conflicts if it duplicates it.
+ *
+ * @param {Array.<Layer>} earlier
+ * @param {Layer} layer
+ * @param {String=} order the router's `order` option
+ * @returns {Array.<Object>}
+ * @private
+ */
+
+lint.layer = function (earlier, layer, order) {
+  var problems = [];
+  if (!layer.methods.length) return problems;
+
+  earlier.forEach(function (before) {
+    var methods = before.methods.filter(function (method) {
+      return ~layer.methods.indexOf(method);
+    });
+    if (!methods.length || !compatible(before, layer)) return;
+
+    var type = conflict(before, layer);
+    if (!type) return;
+    if (type !== 'duplicate' && order === 'specificity' && specificity.compare(layer, before) < 0) return;
+
+    problems.push({
+      type: type,
+      methods: methods,
+      route: summary(layer),
+      conflictsWith: summary(before),
+      message: message(type, methods, layer, before)
+    });
+  });
+
+  return problems;
+};
+
+/**
+ * Returns the type of conflict between `before` and `after`, or `null`.
+ *
+ * @param {Layer} before
+ * @param {Layer} after
+ * @returns {String|null}
+ * @private
+ */
+
+function conflict(before, after) {
+  if (String(before.path) === String(after.path)) return 'duplicate';
+
+  var a = segments(before.path);
+  var b = segments(after.path);
+
+  if (!a || !b) {
+    // only static paths can be checked against arbitrary patterns
+    return isStatic(after.path) && before.regexp.test(after.path) ? 'unreachable' : null;
+  }
+
+  var forward = covers(a, b, before);
+  var backward = covers(b, a, after);
+
+  if (forward && backward) return 'duplicate';
+  if (forward) return 'unreachable';
+  if (!backward && overlaps(a, b, before, after)) return 'ambiguous';
+
+  return null;
+}
+
+/**
+ * Returns whether the routes may answer the same requests given their
+ * hostname, API versions and content types.
+ *
+ * @param {Layer} a
+ * @param {Layer} b
+ * @returns {Boolean}
+ * @private
+ */
+
+function compatible(a, b) {
+  if (a.host && b.host && String(a.host) !== String(b.host)) return false;
+
+  return ['versions', 'consumes', 'produces'].every(function (key) {
+    return !a[key].length || !b[key].length || a[key].some(function (value) {
+      return ~b[key].indexOf(value);
+    });
+  });
+}
+
+/**
+ * Split `path` into segments, each a literal string or a parameter pattern.
+ * Returns `null` for regular expressions and paths with parameters which are
+ * optional, repeated or only part of a segment.
+ *
+ * @param {String|RegExp} path
+ * @returns {Array|null}
+ * @private
+ */
+
+function segments(path) {
+  if (typeof path !== 'string') return null;
+
+  var result = [];
+  var tokens = types.parse(path);
+
+  for (var i = 0; i < tokens.length; i++) {
+    var token = tokens[i];
+
+    if (typeof token === 'string') {
+      if (token[0] !== '/') return null;
+      token.slice(1).split('/').forEach(function (literal, j, literals) {
+        // non-strict routes ignore a trailing slash
+        if (literal || j < literals.length - 1 || i < tokens.length - 1) {
+          result.push({ literal: literal });
+        }
+      });
+    } else {
+      if (token.prefix !== '/' || token.optional || token.repeat || token.partial) return null;
+      result.push({ pattern: token.pattern });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Returns whether the route `layer` with segments `a` matches every path
+ * matching segments `b`.
+ *
+ * @private
+ */
+
+function covers(a, b, layer) {
+  if (a.length !== b.length) return false;
+
+  return a.every(function (segment, i) {
+    var other = b[i];
+
+    if (segment.literal !== undefined) {
+      return other.literal !== undefined && same(segment.literal, other.literal, layer);
+    }
+    if (segment.pattern === types.DEFAULT_PATTERN) return true;
+    if (other.literal !== undefined) return fits(other.literal, segment.pattern, layer);
+    return other.pattern === segment.pattern;
+  });
+}
+
+/**
+ * Returns whether some path matches both segments `a` of route `before`
+ * and `b` of route `after`. Parameters with different custom patterns are
+ * assumed not to overlap.
+ *
+ * @private
+ */
+
+function overlaps(a, b, before, after) {
+  if (a.length !== b.length) return false;
+
+  return a.every(function (segment, i) {
+    var other = b[i];
+
+    if (segment.literal !== undefined && other.literal !== undefined) {
+      return same(segment.literal, other.literal, before);
+    }
+    if (segment.literal !== undefined) return fits(segment.literal, other.pattern, after);
+    if (other.literal !== undefined) return fits(other.literal, segment.pattern, before);
+    return segment.pattern === other.pattern
+      || segment.pattern === types.DEFAULT_PATTERN
+      || other.pattern === types.DEFAULT_PATTERN;
+  });
+}
+
+function same(literal, other, layer) {
+  return layer.opts.sensitive ? literal === other : literal.toUpperCase() === other.toUpperCase();
+}
+
+function fits(literal, pattern, layer) {
+  return new RegExp('^(?:' + pattern + ')$', layer.opts.sensitive ? '' : 'i').test(literal);
+}
+
+function isStatic(path) {
+  return typeof path === 'string' && types.parse(path).every(function (token) {
+    return typeof token === 'string';
+  });
+}
+
+function summary(layer) {
+  return {
+    name: layer.name,
+    methods: layer.methods.slice(),
+    path: String(layer.path)
+  };
+}
+
+function message(type, methods, layer, before) {
+  var route = label(methods, layer);
+  var other = label(methods, before);
+
+  switch (type) {
+    case 'duplicate':
+      return route + ' duplicates ' + other;
+    case 'unreachable':
+      return route + ' is unreachable, ' + other + ' registered before matches all of its paths';
+    default:
+      return route + ' is ambiguous with ' + other + ' registered before, which wins for paths matching both';
+  }
+}
+
+function label(methods, layer) {
+  return methods.join(', ') + ' ' + layer.path + (layer.name ? ' ("' + layer.name + '")' : '');
+}
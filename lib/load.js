@@ -0,0 +1,73 @@
+module.exports = load;
+
+// entities loaded during each request, by loader and parameter value
+var loaded = new WeakMap();
+
+/**
+ * Returns param middleware resolving the parameter value with `loader` and
+ * putting the result in `ctx.state[opts.as]`. Requests for which the loader
+ * finds nothing get `opts.notFound`, and the loader runs once per request
+ * and value however many matched routes share the parameter.
+ *
+ * @param {String} param
+ * @param {Function} loader called with the parameter value and `ctx`,
+ * returns the entity or a promise for it
+ * @param {Object=} opts
+ * @param {String=} opts.as `ctx.state` property (default: `param`)
+ * @param {Number|Function|Boolean=} opts.notFound status to respond with
+ * when the loader returns `null` or `undefined` (default: `404`), a
+ * middleware `(ctx, next)` handling it instead, or `false` to continue
+ * @returns {Function}
+ * @private
+ */
+
+function load(param, loader, opts) {
+  opts = opts || {};
+
+  var as = opts.as || param;
+  var notFound = opts.notFound === undefined ? 404 : opts.notFound;
+
+  return function loadParam(value, ctx, next) {
+    return resolve(loader, value, ctx).then(function (entity) {
+      if (entity !== null && entity !== undefined) {
+        ctx.state[as] = entity;
+        return next();
+      }
+
+      if (typeof notFound === 'function') return notFound(ctx, next);
+      if (notFound === false) {
+        ctx.state[as] = null;
+        return next();
+      }
+
+      ctx.throw(notFound, 'No ' + as + ' found for ' + param + ' "' + value + '"');
+    });
+  };
+}
+
+/**
+ * Returns a promise for the entity `loader` finds for `value`, reusing the
+ * result of an earlier call in the same request.
+ *
+ * @param {Function} loader
+ * @param {String} value
+ * @param {Object} ctx
+ * @returns {Promise}
+ * @private
+ */
+
+function resolve(loader, value, ctx) {
+  var results = loaded.get(ctx);
+  if (!results) loaded.set(ctx, results = []);
+
+  for (var i = 0; i < results.length; i++) {
+    if (results[i].loader === loader && results[i].value === value) return results[i].entity;
+  }
+
+  var entity = new Promise(function (done) {
+    done(loader(value, ctx));
+  });
+  results.push({ loader: loader, value: value, entity: entity });
+
+  return entity;
+}
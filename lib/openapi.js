@@ -0,0 +1,221 @@
+var http = require('http');
+var types = require('./types');
+
+module.exports = openapi;
+
+// methods with an operation field in an OpenAPI path item
+var OPERATIONS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Build an OpenAPI 3.0 document from `layers`.
+ *
+ * @param {Array.<Layer>} layers
+ * @param {Object} info OpenAPI info object
+ * @returns {Object}
+ * @private
+ */
+
+function openapi(layers, info) {
+  var paths = {};
+
+  layers.forEach(function (layer) {
+    if (typeof layer.path !== 'string') return;
+
+    var methods = operations(layer.methods);
+    if (!methods.length) return;
+
+    templates(layer.path).forEach(function (template) {
+      var item = paths[template.path] || (paths[template.path] = {});
+
+      methods.forEach(function (method) {
+        // the first layer registered for a path and method describes it
+        if (item[method]) return;
+        item[method] = operation(layer, template.params, methods.length > 1 && method);
+      });
+    });
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: info || {},
+    paths: paths
+  };
+}
+
+/**
+ * Returns the OpenAPI operation names for `methods`, leaving out the HEAD
+ * added to every GET route and methods OpenAPI has no field for.
+ *
+ * @param {Array.<String>} methods
+ * @returns {Array.<String>}
+ * @private
+ */
+
+function operations(methods) {
+  return methods.filter(function (method) {
+    return !(method === 'HEAD' && ~methods.indexOf('GET'));
+  }).map(function (method) {
+    return method.toLowerCase();
+  }).filter(function (method) {
+    return ~OPERATIONS.indexOf(method);
+  });
+}
+
+/**
+ * Returns the OpenAPI path templates for `path` with their parameter tokens.
+ * OpenAPI path parameters are always required, so every optional parameter
+ * doubles the templates: one with it and one without.
+ *
+ * @param {String} path
+ * @returns {Array.<Object>}
+ * @private
+ */
+
+function templates(path) {
+  var variants = [{ path: '', params: [] }];
+
+  types.parse(path).forEach(function (token) {
+    if (typeof token === 'string') {
+      variants.forEach(function (variant) {
+        variant.path += token;
+      });
+      return;
+    }
+
+    var present = variants.map(function (variant) {
+      return {
+        path: variant.path + token.prefix + '{' + token.name + '}',
+        params: variant.params.concat(token)
+      };
+    });
+
+    variants = token.optional ? variants.concat(present) : present;
+  });
+
+  return variants.map(function (variant) {
+    return { path: variant.path || '/', params: variant.params };
+  });
+}
+
+/**
+ * Build the operation object for `layer`.
+ *
+ * @param {Layer} layer
+ * @param {Array.<Object>} params path-to-regexp tokens in the template
+ * @param {String|Boolean} method suffix for the operationId when the layer
+ * describes several operations
+ * @returns {Object}
+ * @private
+ */
+
+function operation(layer, params, method) {
+  var meta = layer.opts.meta || {};
+  var schemas = layer.opts.validate || {};
+  var properties = (schemas.params && schemas.params.properties) || {};
+  var op = {};
+
+  if (layer.name) op.operationId = method ? layer.name + '.' + method : layer.name;
+  ['summary', 'description', 'tags', 'deprecated'].forEach(function (key) {
+    if (meta[key] !== undefined) op[key] = meta[key];
+  });
+
+  var parameters = params.map(function (token) {
+    return {
+      name: String(token.name),
+      in: 'path',
+      required: true,
+      schema: properties[token.name] || paramSchema(token)
+    };
+  }).concat(
+    objectParameters(schemas.query, 'query'),
+    objectParameters(schemas.headers, 'header')
+  );
+
+  if (parameters.length) op.parameters = parameters;
+
+  var requestBody = meta.requestBody || schemas.body;
+  if (requestBody) {
+    op.requestBody = {
+      required: true,
+      content: content(layer.consumes, requestBody)
+    };
+  }
+
+  op.responses = responses(meta.responses, layer.produces);
+
+  return op;
+}
+
+function paramSchema(token) {
+  if (token.type) return types.get(token.type).schema;
+
+  var schema = { type: 'string' };
+
+  if (token.pattern !== types.DEFAULT_PATTERN && !token.asterisk) {
+    schema.pattern = '^(?:' + token.pattern + ')$';
+  }
+
+  return schema;
+}
+
+/**
+ * Returns OpenAPI parameters for the properties of a `validate` object
+ * schema.
+ *
+ * @param {Object=} schema
+ * @param {String} location OpenAPI parameter location
+ * @returns {Array.<Object>}
+ * @private
+ */
+
+function objectParameters(schema, location) {
+  if (!schema || !schema.properties) return [];
+
+  var required = schema.required || [];
+
+  return Object.keys(schema.properties).map(function (name) {
+    return {
+      name: name,
+      in: location,
+      required: !!~required.indexOf(name),
+      schema: schema.properties[name]
+    };
+  });
+}
+
+function responses(schemas, types) {
+  var result = {};
+
+  Object.keys(schemas || {}).forEach(function (status) {
+    result[status] = {
+      description: http.STATUS_CODES[status] || 'Response',
+      content: content(types, schemas[status])
+    };
+  });
+
+  if (!Object.keys(result).length) {
+    result.default = { description: 'Response' };
+  }
+
+  return result;
+}
+
+/**
+ * Returns an OpenAPI content map with `schema` for each of `types`, or for
+ * JSON when the route does not restrict its content types.
+ *
+ * @param {Array.<String>} types
+ * @param {Object} schema
+ * @returns {Object}
+ * @private
+ */
+
+function content(types, schema) {
+  var result = {};
+
+  (types.length ? types : ['application/json']).forEach(function (type) {
+    result[type] = { schema: schema };
+  });
+
+  return result;
+}
@@ -0,0 +1,74 @@
+var http = require('http');
+var HttpError = require('http-errors');
+
+module.exports = problem;
+problem.respond = respond;
+
+/**
+ * Returns middleware responding to errors thrown by later middleware, or
+ * answered by the router with `respond()`, with an
+ * [RFC 7807](https://tools.ietf.org/html/rfc7807) problem document.
+ *
+ * @param {Object=} options see `Router#problems()`
+ * @returns {Function}
+ * @private
+ */
+
+function problem(options) {
+  options = options || {};
+
+  return function problemDetails(ctx, next) {
+    return next().then(function () {
+      // 路由直接响应而不抛出的错误，如参数校验失败
+      var err = ctx._problem;
+      if (err && ctx.status === err.status) format(err);
+    }, format);
+
+    function format(err) {
+      var status = statusOf(err);
+      var expose = options.expose ? options.expose(err, ctx) : status < 500 && err.expose !== false;
+      var body = {
+        type: typeof options.type === 'function' ? options.type(err, ctx) : options.type || 'about:blank',
+        title: http.STATUS_CODES[status] || 'Error',
+        status: status
+      };
+
+      if (expose && err.message) body.detail = err.message;
+      body.instance = ctx.originalUrl;
+      if (ctx._matchedRouteName) body.routeName = ctx._matchedRouteName;
+      if (ctx._matchedRoute) body.routePath = String(ctx._matchedRoute);
+      if (expose && Array.isArray(err.errors)) body.errors = err.errors;
+
+      ctx.status = status;
+      if (err.headers) ctx.set(err.headers);
+      ctx.body = body;
+      ctx.type = 'application/problem+json';
+
+      // errors the client did not cause are still reported to the app
+      if (status >= 500) ctx.app.emit('error', err, ctx);
+    }
+  };
+}
+
+/**
+ * Respond with `status` and a JSON body of `status`, `message` and
+ * `props`, for errors the router answers without throwing. The error is
+ * kept for `router.problems()` to format.
+ *
+ * @param {Object} ctx
+ * @param {Number} status
+ * @param {String} message
+ * @param {Object} props
+ * @private
+ */
+
+function respond(ctx, status, message, props) {
+  ctx.status = status;
+  ctx.body = Object.assign({ status: status, message: message }, props);
+  ctx._problem = new HttpError(status, message, props);
+}
+
+function statusOf(err) {
+  var status = err && (err.status || err.statusCode);
+  return typeof status === 'number' && status >= 400 && status < 600 ? status : 500;
+}
@@ -0,0 +1,152 @@
+var methods = require('methods');
+var Layer = require('./layer');
+var errors = require('./errors');
+
+module.exports = redirect;
+
+// scheme and host of absolute destinations, which are not route patterns
+var ORIGIN = /^[a-z][a-z\d+.-]*:\/\/[^\/?#]*/i;
+
+/**
+ * Register a route on `router` redirecting requests for `source` to
+ * `destination`, with the params captured from the source.
+ *
+ * @param {Router} router
+ * @param {String} source path or route name
+ * @param {String} destination path pattern, URL or route name
+ * @param {Number|Object=} options status code, or see `Router#redirect()`
+ * @returns {Router}
+ * @private
+ */
+
+function redirect(router, source, destination, options) {
+  options = typeof options === 'number' ? { status: options } : options || {};
+
+  // lookup source route by name
+  if (source[0] !== '/') source = sourcePath(router, source);
+
+  var build = destinationBuilder(router, destination);
+  var verbs = options.methods || methods;
+
+  router.register(source, verbs, function redirectRoute(ctx) {
+    var url = build(mapParams(options.params, ctx), ctx);
+    if (options.query !== false) url = appendQuery(url, ctx.querystring);
+
+    ctx.redirect(url);
+    ctx.status = options.status || defaultStatus(ctx.method, options.permanent !== false);
+  }, { name: options.name });
+
+  return router;
+}
+
+/**
+ * Returns the path the route named `name` is registered at, without the
+ * prefix of `router`, which registering it again adds.
+ *
+ * @param {Router} router
+ * @param {String} name
+ * @returns {String}
+ * @private
+ */
+
+function sourcePath(router, name) {
+  var route = router.route(name);
+  var prefix = router.opts.prefix;
+
+  if (!route) throw errors.routeNotFound(name);
+
+  return prefix && route.path.indexOf(prefix) === 0 ? route.path.slice(prefix.length) : route.path;
+}
+
+/**
+ * Returns a function building the URL for `destination` from params: a
+ * path pattern or absolute URL whose parameters are filled in, or the name
+ * of a route of `router`, looked up when requests come in.
+ *
+ * @param {Router} router
+ * @param {String} destination
+ * @returns {Function}
+ * @private
+ */
+
+function destinationBuilder(router, destination) {
+  var origin = ORIGIN.exec(destination);
+
+  if (!origin && destination[0] !== '/') {
+    return function (params) {
+      // options are given so params are never taken for them
+      return router.url(destination, params, {});
+    };
+  }
+
+  origin = origin ? origin[0] : '';
+  var rest = destination.slice(origin.length);
+  var end = rest.search(/[?#]/);
+  // compiled on first use and kept, as for routes
+  var pattern = { path: ~end ? rest.slice(0, end) : rest };
+  var suffix = ~end ? rest.slice(end) : '';
+
+  return function (params) {
+    return origin + Layer.prototype.url.call(pattern, params, {}) + suffix;
+  };
+}
+
+/**
+ * Returns the params to build the destination URL with: the params of the
+ * request, renamed by an object mapping destination params to source
+ * params, or returned by a function.
+ *
+ * @param {Object|Function=} mapping
+ * @param {Object} ctx
+ * @returns {Object}
+ * @private
+ */
+
+function mapParams(mapping, ctx) {
+  var params = ctx.params || {};
+
+  if (typeof mapping === 'function') return mapping(params, ctx);
+  if (!mapping) return params;
+
+  var mapped = Object.assign({}, params);
+  Object.keys(mapping).forEach(function (key) {
+    mapped[key] = params[mapping[key]];
+  });
+
+  return mapped;
+}
+
+/**
+ * Returns `url` with the request `querystring` added to its own query.
+ *
+ * @param {String} url
+ * @param {String} querystring
+ * @returns {String}
+ * @private
+ */
+
+function appendQuery(url, querystring) {
+  if (!querystring) return url;
+
+  var hash = url.indexOf('#');
+  var fragment = ~hash ? url.slice(hash) : '';
+  url = ~hash ? url.slice(0, hash) : url;
+
+  return url + (~url.indexOf('?') ? '&' : '?') + querystring + fragment;
+}
+
+/**
+ * Returns the redirect status for `method`: `301` or `302` for `GET` and
+ * `HEAD`, and `308` or `307` for other methods, which must not turn into
+ * `GET` requests.
+ *
+ * @param {String} method
+ * @param {Boolean} permanent
+ * @returns {Number}
+ * @private
+ */
+
+function defaultStatus(method, permanent) {
+  if (method === 'GET' || method === 'HEAD') return permanent ? 301 : 302;
+  return permanent ? 308 : 307;
+}
@@ -0,0 +1,113 @@
+module.exports = resource;
+
+// conventional actions in registration order: paths without parameters
+// come first so `/users/new` is not taken for a user id
+var ACTIONS = [
+  { action: 'new', methods: ['get'], path: '/new' },
+  { action: 'index', methods: ['get'], path: '' },
+  { action: 'create', methods: ['post'], path: '' },
+  { action: 'edit', methods: ['get'], path: '/:param/edit' },
+  { action: 'show', methods: ['get'], path: '/:param' },
+  { action: 'update', methods: ['put', 'patch'], path: '/:param' },
+  { action: 'destroy', methods: ['delete'], path: '/:param' }
+];
+
+/**
+ * Register the conventional routes of resource `name` on `router` for the
+ * actions `controller` implements.
+ *
+ * @param {Router} router
+ * @param {String} name
+ * @param {Object} controller
+ * @param {Object=} opts see `Router#resource()`
+ * @returns {Router}
+ * @private
+ */
+
+function resource(router, name, controller, opts) {
+  opts = opts || {};
+
+  var parent = opts.parent ? router.resources[opts.parent] : null;
+  if (opts.parent && !parent) {
+    throw new Error('Resource `' + name + '`: parent resource `' + opts.parent + '` is not defined');
+  }
+
+  var fullName = parent ? parent.name + '.' + name : name;
+  var param = opts.param || 'id';
+  var base = (parent ? parent.path + '/:' + parent.nestedParam : '')
+    + '/' + (opts.path === undefined ? name : opts.path).replace(/^\/|\/$/g, '');
+
+  var actions = ACTIONS.map(function (route) {
+    return {
+      action: route.action,
+      methods: route.methods,
+      path: route.path.replace(':param', ':' + param),
+      conventional: true
+    };
+  });
+
+  // custom collection actions go before, member actions after the
+  // conventional ones, for the same reason as `new`
+  actions = custom(opts.collection, '').concat(actions, custom(opts.member, '/:' + param));
+
+  var known = actions.map(function (route) {
+    return route.action;
+  });
+  [].concat(opts.only || [], opts.except || []).forEach(function (action) {
+    if (!~known.indexOf(action)) {
+      throw new Error('Resource `' + fullName + '`: unknown action `' + action + '`');
+    }
+  });
+
+  router.resources[fullName] = {
+    name: fullName,
+    path: base,
+    nestedParam: opts.nestedParam || singular(name) + 'Id'
+  };
+
+  actions.filter(function (route) {
+    if (opts.only) return ~opts.only.indexOf(route.action);
+    if (opts.except) return !~opts.except.indexOf(route.action);
+    return true;
+  }).forEach(function (route) {
+    var middleware = controller[route.action];
+
+    if (!middleware) {
+      // conventional actions are optional unless asked for with `only`
+      if (route.conventional && !opts.only) return;
+      throw new Error('Resource `' + fullName + '`: controller has no `' + route.action + '` action');
+    }
+
+    router.register(base + route.path, route.methods, middleware, {
+      name: fullName + '.' + route.action
+    });
+  });
+
+  return router;
+}
+
+/**
+ * Returns routes for custom actions, given as a map of action names to an
+ * HTTP method or array of methods.
+ *
+ * @param {Object=} actions
+ * @param {String} prefix
+ * @returns {Array.<Object>}
+ * @private
+ */
+
+function custom(actions, prefix) {
+  return Object.keys(actions || {}).map(function (action) {
+    return {
+      action: action,
+      methods: [].concat(actions[action]),
+      path: prefix + '/' + action
+    };
+  });
+}
+
+function singular(name) {
+  if (/ies$/.test(name)) return name.slice(0, -3) + 'y';
+  if (/(ss|[sxz]es|ches|shes)$/.test(name)) return name.replace(/es$/, '');
+  return name.replace(/s$/, '');
+}
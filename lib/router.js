@@ -10,7 +10,22 @@ var compose = require('koa-compose');
 var HttpError = require('http-errors');
 // https://github.com/jshttp/methods
 var methods = require('methods');
+var accepts = require('accepts');
 var Layer = require('./layer');
+var Tree = require('./tree');
+var Cache = require('./cache');
+var openapi = require('./openapi');
+var validate = require('./validate');
+var types = require('./types');
+var resource = require('./resource');
+var lint = require('./lint');
+var specificity = require('./specificity');
+var load = require('./load');
+var cors = require('./cors');
+var problem = require('./problem');
+var redirect = require('./redirect');
+var table = require('./table');
+var errors = require('./errors');
 
 /**
  * @module koa-router
@@ -44,6 +59,23 @@ module.exports = Router;
  * @alias module:koa-router
  * @param {Object=} opts
  * @param {String=} opts.prefix prefix router paths
+ * @param {String|RegExp=} opts.host only match requests for this hostname,
+ * which may contain parameters like `:tenant.example.com`
+ * @param {Function=} opts.resolveVersion returns the API version asked for
+ * by `ctx` (default: `Accept-Version` header or vendor media type)
+ * @param {String=} opts.defaultVersion API version for requests asking for
+ * none
+ * @param {String=} opts.order which of several routes matching a request
+ * runs first and sets `ctx._matchedRoute`: `'registration'` for the order
+ * they were registered in (default), `'specificity'` for the most specific
+ * route, see `router.verb()`
+ * @param {String=} opts.lint check each route for conflicts with the routes
+ * registered before, see `router.lint()`: `'warn'` emits them as process
+ * warnings of type `RouteConflictWarning`, `'throw'` throws
+ * @param {Number=} opts.matchCache number of `router.match()` results to keep
+ * in a least-recently-used cache, keyed by method and path (default: disabled)
+ * @param {String=} opts.baseUrl origin and path URLs built by `ctx.urlFor()`
+ * start with, like `https://example.com` (default: the request's origin)
  * @constructor
  */
 
@@ -78,6 +110,16 @@ function Router(opts) {
   this.params = {};
   // 存储Layer路由实例
   this.stack = [];
+  // router.resource() 声明的资源，用于嵌套资源
+  this.resources = {};
+  // 可选的match结果缓存，stack变化时清空
+  this._cache = this.opts.matchCache ? new Cache(this.opts.matchCache) : null;
+  // use()挂载关系：本路由挂载到的父路由，以及挂载进来的子路由
+  this._parents = [];
+  this._mounts = [];
+  // router.notFound() 和 router.methodNotAllowed() 设置的处理函数
+  this._notFound = null;
+  this._methodNotAllowed = null;
 };
 
 /**
@@ -193,9 +235,170 @@ function Router(opts) {
  * The [path-to-regexp](https://github.com/pillarjs/path-to-regexp) module is
  * used to convert paths to regular expressions.
  *
+ * #### Typed parameters
+ *
+ * Parameters may name a type with `:name<type>`. The route only matches
+ * when the segment fits the type, and `ctx.params` holds the parsed value.
+ * Built-in types are `int`, `number`, `uuid` and `date` (ISO 8601), more
+ * can be added with `Router.paramType()`.
+ *
+ * ```javascript
+ * router.get('/users/:id<int>', (ctx, next) => {
+ *   console.log(ctx.params);
+ *   // => { id: 3 }
+ * });
+ *
+ * router.get('/at/:ts<date>', (ctx, next) => {
+ *   console.log(ctx.params.ts instanceof Date);
+ *   // => true
+ * });
+ * ```
+ *
+ * #### Host routing
+ *
+ * Routers and routes can be restricted to a hostname with the `host`
+ * option: an exact hostname, a pattern with parameters, or a regular
+ * expression. Captured host parameters are added to `ctx.params`.
+ *
+ * ```javascript
+ * var tenants = new Router({ host: ':tenant.example.com' });
+ *
+ * tenants.get('/', (ctx, next) => {
+ *   console.log(ctx.params);
+ *   // => { tenant: 'acme' } for acme.example.com
+ * });
+ *
+ * router.get('/status', { host: 'admin.example.com' }, (ctx, next) => {
+ *   // ...
+ * });
+ * ```
+ *
+ * #### API versions
+ *
+ * Routes can serve one or more API versions with the `version` option.
+ * The version is read from the `Accept-Version` header or a vendor media
+ * type such as `application/vnd.acme.v2+json`, or by the router's
+ * `resolveVersion` option. Routes without a version serve every version.
+ * Requests for a path whose routes don't serve the version asked for get a
+ * `406 Not Acceptable`.
+ *
+ * ```javascript
+ * router.get('/orders', { version: '1' }, (ctx, next) => {
+ *   // ...
+ * });
+ *
+ * router.get('/orders', { version: ['2', '3'] }, (ctx, next) => {
+ *   // ...
+ * });
+ * ```
+ *
+ * #### Content negotiation
+ *
+ * The `consumes` and `produces` options restrict routes to requests with a
+ * matching `Content-Type` and `Accept` header, so several routes can share
+ * a path and method. The response type is set to the best type the route
+ * produces. Requests no route accepts get a `415 Unsupported Media Type`
+ * with an `Accept` header, requests for types no route produces get a
+ * `406 Not Acceptable`.
+ *
+ * ```javascript
+ * router.get('/orders', { produces: ['json'] }, (ctx, next) => {
+ *   ctx.body = orders;
+ * });
+ *
+ * router.get('/orders', { produces: ['text/csv'] }, (ctx, next) => {
+ *   ctx.body = toCSV(orders);
+ * });
+ *
+ * router.post('/orders', { consumes: ['json'] }, (ctx, next) => {
+ *   // ...
+ * });
+ * ```
+ *
+ * #### Route order
+ *
+ * When several routes match a request they run in the order they were
+ * registered, and `ctx._matchedRoute` names the last of them. With the
+ * `order: 'specificity'` router option the most specific route runs first
+ * and sets `ctx._matchedRoute`, whatever the order routes were registered
+ * in: static segments beat parameters with a pattern or type, which beat
+ * plain parameters, which beat wildcards. Middleware added with
+ * `router.use()` keeps its place.
+ *
+ * ```javascript
+ * var router = new Router({ order: 'specificity' });
+ *
+ * router.get('/users/:id', ...);
+ * router.get('/users/me', ...);
+ *
+ * // GET /users/me runs the second route, `ctx._matchedRoute` is "/users/me"
+ * ```
+ *
+ * #### Route options
+ *
+ * An options object may be given before the middleware. `meta` describes the
+ * route for documentation such as `router.toOpenAPI()`:
+ *
+ * ```javascript
+ * router.get('user', '/users/:id', {
+ *   meta: {
+ *     summary: 'Find a user',
+ *     tags: ['users'],
+ *     responses: { 200: { type: 'object' } }
+ *   }
+ * }, (ctx, next) => {
+ *   // ...
+ * });
+ * ```
+ *
+ * #### Request validation
+ *
+ * The `validate` route option checks `ctx.params`, `ctx.query`,
+ * `ctx.headers` and `ctx.request.body` against JSON schemas before the route
+ * middleware runs. Invalid requests get a `400` listing every failing field:
+ *
+ * ```javascript
+ * router.post('createUser', '/users', {
+ *   validate: {
+ *     query: { properties: { notify: { type: 'boolean' } } },
+ *     body: {
+ *       type: 'object',
+ *       required: ['name'],
+ *       properties: { name: { type: 'string', minLength: 1 } }
+ *     }
+ *   }
+ * }, (ctx, next) => {
+ *   // ...
+ * });
+ *
+ * // POST /users?notify=maybe {}
+ * // => 400 {
+ * //   status: 400,
+ * //   message: 'Invalid request',
+ * //   errors: [
+ * //     { in: 'query', path: 'notify', message: 'must be boolean' },
+ * //     { in: 'body', path: 'name', message: 'is required' }
+ * //   ]
+ * // }
+ * ```
+ *
+ * The schemas also document the route in `router.toOpenAPI()`.
+ *
  * @name get|put|post|patch|delete|del
  * @memberof module:koa-router.prototype
  * @param {String} path
+ * @param {Object=} opts route options
+ * @param {Object=} opts.meta route metadata for documentation
+ * @param {String|RegExp=} opts.host only match requests for this hostname
+ * @param {String|Array.<String>=} opts.version API version(s) the route serves
+ * @param {Array.<String>=} opts.consumes request content types the route
+ * accepts, such as `json` or `text/csv`
+ * @param {Array.<String>=} opts.produces response content types the route
+ * can produce
+ * @param {Object=} opts.validate schemas for `params`, `query`, `headers` and
+ * `body` checked before the route middleware runs
+ * @param {Object|Boolean=} opts.cors options overriding those of
+ * `router.cors()` for this route, or `false` to leave it out
  * @param {Function=} middleware route middleware(s)
  * @param {Function} callback route callback
  * @returns {Router}
@@ -219,10 +422,12 @@ methods.forEach(function (method) {
       path = name;
       name = null;
     }
+    // 中间件之前可以传入路由选项对象，例如 { meta: {...} }
+    var opts = isPlainObject(middleware[0]) ? middleware.shift() : {};
     // 真正注册路由的方法,注意这里的method是数组，register支持多method映射
-    this.register(path, [method], middleware, {
-      name: name
-    });
+    this.register(path, [method], middleware, Object.assign({}, opts, {
+      name: name || opts.name
+    }));
     // 将this返回，从而支持链式调用
     return this;
   };
@@ -255,9 +460,41 @@ Router.prototype.del = Router.prototype['delete'];
  * app.use(router.routes());
  * ```
  *
+ * Nested routers are mounted rather than copied: the parent matches the
+ * child's routes under the mount path without changing the child, sees
+ * routes added to the child later, and one router may be mounted at
+ * several paths.
+ *
+ * ```javascript
+ * var users = new Router();
+ * users.get('/:id', ...);
+ *
+ * router.use('/users', users.routes());
+ * router.use('/members', users.routes());
+ *
+ * users.get('/:id/posts', ...); // served at /users/:id/posts and /members/:id/posts
+ * ```
+ *
+ * Route names of a nested router are kept as they are, or namespaced with
+ * the `as` option. Names must be unique in the parent as well.
+ *
+ * ```javascript
+ * users.get('show', '/:id', ...);
+ * posts.get('show', '/:id', ...);
+ *
+ * router.use('/users', users, { as: 'users' });
+ * router.use('/posts', posts, { as: 'posts' });
+ *
+ * router.url('users.show', { id: 3 }); // => "/users/3"
+ * router.url('posts.show', { id: 5 }); // => "/posts/5"
+ * ```
+ *
  * @param {String=} path
- * @param {Function} middleware
- * @param {Function=} ...
+ * @param {Function|Router} middleware
+ * @param {Function|Router=} ...
+ * @param {Object=} options
+ * @param {String=} options.as namespace for the route names of nested
+ * routers
  * @returns {Router}
  */
 // 也可以通过use方法去添加路由中间件(备注：该方法还需要细看，还没有完全弄明白)
@@ -284,26 +521,40 @@ Router.prototype.use = function () {
   if (hasPath) {
     path = middleware.shift();
   }
+  // 最后一个参数为普通对象（而不是子路由）时作为挂载选项
+  var lastArg = middleware[middleware.length - 1];
+  var isOptions = isPlainObject(lastArg) && !(lastArg instanceof Router) && !lastArg.router;
+  var options = isOptions ? middleware.pop() : {};
 
   middleware.forEach(function (m) {
+    // 子路由可以直接传入Router实例
+    if (m instanceof Router) m = m.routes();
     // 这里啥情况？
     if (m.router) {
-      m.router.stack.forEach(function (nestedLayer) {
-        if (path) nestedLayer.setPrefix(path);
-        if (router.opts.prefix) nestedLayer.setPrefix(router.opts.prefix);
-        router.stack.push(nestedLayer);
+      // 挂载而不是复制子路由的Layer，子路由之后的变化通过invalidate同步过来
+      var last = router.stack[router.stack.length - 1];
+      var mount = {
+        parent: router,
+        router: m.router,
+        path: path,
+        as: options.as,
+        after: last ? last.mount || last : null
+      };
+      var views = mountViews(mount);
+      views.forEach(function (view, i) {
+        if (view.name) checkName(router, view.name, views.slice(0, i), view);
+        checkConflicts(router, view, views.slice(0, i));
       });
-
-      if (router.params) {
-        Object.keys(router.params).forEach(function (key) {
-          m.router.param(key, router.params[key]);
-        });
-      }
+      router.stack.push.apply(router.stack, views);
+      router._mounts.push(mount);
+      if (!~m.router._parents.indexOf(router)) m.router._parents.push(router);
+      addViews(router, views);
     } else {
       // 这里为啥要挨个注册呢？register支持多个middleware啊
       router.register(path || '(.*)', [], m, { end: false, ignoreCaptures: !hasPath });
     }
   });
+  invalidate(router);
 
   return this;
 };
@@ -329,8 +580,12 @@ Router.prototype.prefix = function (prefix) {
   this.opts.prefix = prefix;
 
   this.stack.forEach(function (route) {
-    route.setPrefix(prefix);
+    // 挂载的子路由Layer在refresh时重新加上前缀
+    if (!route.mount) route.setPrefix(prefix);
   });
+  this._mounts.forEach(refresh);
+  remount(this);
+  invalidate(this);
 
   return this;
 };
@@ -356,7 +611,14 @@ Router.prototype.routes = Router.prototype.middleware = function () {
         route: false // 是否有对应的路由
       };
     */
-    var matched = router.match(path, ctx.method);
+    // 请求所要求的API版本
+    var version = (router.opts.resolveVersion || requestedVersion)(ctx) || router.opts.defaultVersion;
+    var matched = router.match(path, ctx.method, {
+      host: ctx.hostname,
+      version: version,
+      type: ctx.get('Content-Type'),
+      accept: ctx.get('Accept')
+    });
     var layerChain, layer, i;
     
     if (ctx.matched) {
@@ -366,15 +628,50 @@ Router.prototype.routes = Router.prototype.middleware = function () {
     }
     // 关注一下这里，会将koa-router路由实例挂载在当前的执行环境上
     ctx.router = router;
+    // 生成绝对URL，路由名在整个挂载树中查找
+    ctx.urlFor = urlFor(router, ctx);
+    // 路径和方法匹配，但版本或内容类型不符，后续中间件也没有处理时响应406或415
+    if (!matched.route && unmet(matched)) {
+      return next().then(function () {
+        if (ctx.status !== 404) return;
+        reject(ctx, matched, version);
+      });
+    }
     // matched.route 不为真，则将中间件的执行权移交给下一个中间件去
-    if (!matched.route) return next();
+    // 后续中间件也没有处理时交给notFound或methodNotAllowed处理函数
+    if (!matched.route) {
+      return next().then(function () {
+        if (ctx.status !== 404 || ctx.body !== undefined) return;
+        return fallback(router, ctx, path, matched);
+      });
+    }
 
     var matchedLayers = matched.pathAndMethod
-    var mostSpecificLayer = matchedLayers[matchedLayers.length - 1]
+    // 多个路由响应不同类型时，只执行最符合Accept的那个，并以其类型响应
+    var produced = negotiateRoutes(matchedLayers, ctx.get('Accept') || '*/*');
+    if (produced) {
+      matchedLayers = matchedLayers.filter(function (layer) {
+        return layer === produced.layer || !layer.methods.length || !layer.produces.length;
+      });
+    }
+    // 按具体程度排序时，最具体的路由排在最前
+    var mostSpecificLayer = router.opts.order === 'specificity'
+      ? matchedLayers.filter(function (layer) { return layer.methods.length; })[0]
+      : matchedLayers[matchedLayers.length - 1]
+    if (matchedLayers.some(function (layer) { return layer.versions.length; })) {
+      ctx.vary('Accept-Version');
+      ctx.vary('Accept');
+    }
+    if (produced) {
+      ctx.vary('Accept');
+      ctx.type = produced.type;
+    }
     ctx._matchedRoute = mostSpecificLayer.path;
     if (mostSpecificLayer.name) {
       ctx._matchedRouteName = mostSpecificLayer.name;
     }
+    // 本次请求已执行过的参数中间件
+    var ran = [];
     // 使用reduce将匹配的路由形成一条链
     layerChain = matchedLayers.reduce(function(memo, layer) {
       // 给每一个Layer实例前添加一个匿名处理函数
@@ -383,16 +680,35 @@ Router.prototype.routes = Router.prototype.middleware = function () {
         // 返回路由参数 key
         ctx.captures = layer.captures(path, ctx.captures);
         //  返回参数的key和对应的value组成的对象
-        ctx.params = layer.params(path, ctx.captures, ctx.params);
+        ctx.params = layer.params(path, ctx.captures, layer.hostParams(ctx.hostname, ctx.params));
         // 定义路由时的名字
         ctx.routerName = layer.name;
         // 执行权交给下一个中间件
         return next();
       });
+      // 在参数中间件和路由中间件之前校验请求参数
+      if (layer.opts.validate) memo.push(validate(layer.opts.validate));
+      // 参数中间件在请求时按路由所属的各级router查找，每个只执行一次
+      paramHandlers(router, layer).forEach(function (handler) {
+        var index = layer.paramNames.map(function (token) { return token.name; }).indexOf(handler.param);
+        memo.push(function (ctx, next) {
+          var value = ctx.params[handler.param];
+          // 类型参数每个路由都会重新解析，所以比较原始的路径片段
+          var raw = ~index && ctx.captures[index] !== undefined ? ctx.captures[index] : value;
+          var done = ran.some(function (run) {
+            return run.fn === handler.fn && run.param === handler.param && run.raw === raw;
+          });
+          if (done) return next();
+          ran.push({ fn: handler.fn, param: handler.param, raw: raw });
+          return handler.fn.call(this, value, ctx, next);
+        });
+      });
       return memo.concat(layer.stack);
     }, []);
     // 通过compose给layerChain包一层，并立即执行
-    return compose(layerChain)(ctx, next);
+    var handled = compose(layerChain)(ctx, next);
+    // HEAD请求执行GET路由，但不发送响应体
+    return ctx.method === 'HEAD' ? handled.then(function () { stripBody(ctx); }) : handled;
   };
 
   dispatch.router = this;
@@ -405,6 +721,10 @@ Router.prototype.routes = Router.prototype.middleware = function () {
  * an `Allow` header containing the allowed methods, as well as responding
  * with `405 Method Not Allowed` and `501 Not Implemented` as appropriate.
  *
+ * `OPTIONS` requests for a path any route matches are answered whatever
+ * status later middleware set, unless a route handles `OPTIONS` itself.
+ * Middleware added with `router.use()` matches paths but allows no methods.
+ *
  * @example
  *
  * ```javascript
@@ -445,21 +765,31 @@ Router.prototype.routes = Router.prototype.middleware = function () {
 
 Router.prototype.allowedMethods = function (options) {
   options = options || {};
+  var router = this;
   var implemented = this.methods;
 
   return function allowedMethods(ctx, next) {
     return next().then(function() {
       var allowed = {};
 
-      if (!ctx.status || ctx.status === 404) {
-        ctx.matched.forEach(function (route) {
-          route.methods.forEach(function (method) {
-            allowed[method] = method;
-          });
+      // use()添加的中间件没有method，不影响Allow
+      (ctx.matched || []).forEach(function (route) {
+        route.methods.forEach(function (method) {
+          allowed[method] = method;
         });
+      });
 
-        var allowedArr = Object.keys(allowed);
+      var allowedArr = Object.keys(allowed);
+
+      // OPTIONS请求只要路径匹配就响应，除非有路由自己处理OPTIONS
+      if (ctx.method === 'OPTIONS' && allowedArr.length && !allowed.OPTIONS) {
+        ctx.status = 200;
+        ctx.body = '';
+        ctx.set('Allow', allowedArr.join(', '));
+        return;
+      }
 
+      if (!ctx.status || ctx.status === 404) {
         if (!~implemented.indexOf(ctx.method)) {
           if (options.throw) {
             var notImplementedThrowable;
@@ -471,14 +801,17 @@ Router.prototype.allowedMethods = function (options) {
             throw notImplementedThrowable;
           } else {
             ctx.status = 501;
-            ctx.set('Allow', allowedArr.join(', '));
+            if (allowedArr.length) ctx.set('Allow', allowedArr.join(', '));
           }
         } else if (allowedArr.length) {
-          if (ctx.method === 'OPTIONS') {
-            ctx.status = 200;
-            ctx.body = '';
-            ctx.set('Allow', allowedArr.join(', '));
-          } else if (!allowed[ctx.method]) {
+          if (!allowed[ctx.method]) {
+            // router.methodNotAllowed() 设置的处理函数优先
+            var handler = scoped(router, router.opts.routerPath || ctx.routerPath || ctx.path, '_methodNotAllowed');
+            if (handler) {
+              ctx.status = 405;
+              ctx.set('Allow', allowedArr.join(', '));
+              return runHandler(handler, ctx);
+            }
             if (options.throw) {
               var notAllowedThrowable;
               if (typeof options.methodNotAllowed === 'function') {
@@ -498,11 +831,170 @@ Router.prototype.allowedMethods = function (options) {
   };
 };
 
+/**
+ * Returns middleware handling [CORS](https://fetch.spec.whatwg.org/#http-cors-protocol)
+ * for the routes of this router. Preflight requests for a path some route
+ * matches are answered with `Access-Control-Allow-Methods` listing the
+ * methods of those routes. Other requests from an allowed origin get the
+ * CORS response headers, also when later middleware throws.
+ *
+ * Use it before `router.routes()`. The `cors` route option overrides
+ * `options` for a route, or turns CORS off for it with `false`.
+ *
+ * @example
+ *
+ * ```javascript
+ * router.get('/users', ...);
+ * router.post('/users', { cors: { credentials: true } }, ...);
+ *
+ * app.use(router.cors({
+ *   origin: ['https://example.com', /\.example\.com$/],
+ *   exposeHeaders: ['Link'],
+ *   maxAge: 600
+ * }));
+ * app.use(router.routes());
+ *
+ * // OPTIONS /users with Origin and Access-Control-Request-Method
+ * // => 204, Access-Control-Allow-Methods: HEAD, GET, POST
+ * ```
+ *
+ * @param {Object=} options
+ * @param {String|RegExp|Array|Function=} options.origin allowed origins:
+ * `'*'` (default), an origin, a pattern, a list of them, or a function
+ * `(origin, ctx)` returning whether the origin is allowed
+ * @param {Boolean=} options.credentials allow credentials, answering with
+ * the request origin instead of `*`
+ * @param {String|Array.<String>=} options.allowHeaders request headers
+ * allowed in preflight responses (default: those asked for)
+ * @param {String|Array.<String>=} options.exposeHeaders response headers
+ * scripts may read
+ * @param {Number=} options.maxAge seconds preflight responses may be cached
+ * @returns {Function}
+ */
+
+Router.prototype.cors = function (options) {
+  return cors(this, options);
+};
+
+/**
+ * Returns middleware turning errors thrown by later middleware, such as
+ * route middleware, param loaders or `router.allowedMethods({ throw: true })`,
+ * into [RFC 7807](https://tools.ietf.org/html/rfc7807)
+ * `application/problem+json` responses. Besides `type`, `title`, `status`,
+ * `detail` and `instance`, the problem names the matched route in
+ * `routeName` and `routePath`. Failed `validate` checks, listed in
+ * `errors`, and `406` or `415` responses for unmet route constraints are
+ * formatted as well.
+ *
+ * The message of an error is only sent as `detail` when it is safe to
+ * expose: for errors below `500` unless `err.expose` is `false`. Errors with
+ * status `500` and up are still emitted on the app for logging.
+ *
+ * @example
+ *
+ * ```javascript
+ * app.use(router.problems({
+ *   type: err => 'https://example.com/problems/' + (err.status || 500)
+ * }));
+ * app.use(router.routes());
+ * app.use(router.allowedMethods({ throw: true }));
+ *
+ * router.get('user', '/users/:id', ctx => {
+ *   ctx.throw(404, 'User 3 does not exist');
+ * });
+ *
+ * // GET /users/3
+ * // => 404 {
+ * //   type: 'https://example.com/problems/404',
+ * //   title: 'Not Found',
+ * //   status: 404,
+ * //   detail: 'User 3 does not exist',
+ * //   instance: '/users/3',
+ * //   routeName: 'user',
+ * //   routePath: '/users/:id'
+ * // }
+ * ```
+ *
+ * @param {Object=} options
+ * @param {String|Function=} options.type problem type URI, or a function
+ * `(err, ctx)` returning it (default: `about:blank`)
+ * @param {Function=} options.expose function `(err, ctx)` returning whether
+ * the error message may be sent as `detail`
+ * @returns {Function}
+ */
+
+Router.prototype.problems = function (options) {
+  return problem(options);
+};
+
+/**
+ * Set the middleware responding to requests no route matches. It runs
+ * when no later middleware handled the request either, with the status
+ * set to `404`.
+ *
+ * Handlers are scoped by prefix: the handler of a nested router applies to
+ * paths under its mount path and prefix, and nested routers without a
+ * handler inherit the one of the router they are mounted into.
+ *
+ * @example
+ *
+ * ```javascript
+ * var api = new Router({ prefix: '/api' });
+ * var admin = new Router({ prefix: '/admin' });
+ *
+ * api.notFound(ctx => {
+ *   ctx.body = { status: 404, message: 'Not Found' };
+ * });
+ * admin.notFound(ctx => {
+ *   ctx.body = '<h1>Page not found</h1>';
+ * });
+ *
+ * router.use(api.routes(), admin.routes());
+ * app.use(router.routes());
+ * ```
+ *
+ * @param {Function} handler middleware `(ctx, next)`
+ * @returns {Router}
+ */
+
+Router.prototype.notFound = function (handler) {
+  this._notFound = handler;
+  return this;
+};
+
+/**
+ * Set the middleware responding to requests whose path routes match but
+ * not with the request method. It runs when no later middleware handled
+ * the request either, with the status set to `405` and the `Allow` header
+ * listing the methods of the path. Handlers are scoped like
+ * `router.notFound()`.
+ *
+ * The handler takes precedence over the response or error of
+ * `router.allowedMethods()`.
+ *
+ * @example
+ *
+ * ```javascript
+ * router.methodNotAllowed(ctx => {
+ *   ctx.body = { status: 405, message: ctx.method + ' is not allowed' };
+ * });
+ * ```
+ *
+ * @param {Function} handler middleware `(ctx, next)`
+ * @returns {Router}
+ */
+
+Router.prototype.methodNotAllowed = function (handler) {
+  this._methodNotAllowed = handler;
+  return this;
+};
+
 /**
  * Register route with all methods.
  *
  * @param {String} name Optional.
  * @param {String} path
+ * @param {Object=} opts Optional route options.
  * @param {Function=} middleware You may also pass multiple middleware.
  * @param {Function} callback
  * @returns {Router}
@@ -520,13 +1012,71 @@ Router.prototype.all = function (name, path, middleware) {
     name = null;
   }
 
-  this.register(path, methods, middleware, {
-    name: name
-  });
+  var opts = isPlainObject(middleware[0]) ? middleware.shift() : {};
+
+  this.register(path, methods, middleware, Object.assign({}, opts, {
+    name: name || opts.name
+  }));
 
   return this;
 };
 
+/**
+ * Register RESTful routes for resource `name`, handled by the actions of
+ * `controller`. Each action may be a middleware function or an array of
+ * middleware, and only the actions the controller implements are routed:
+ *
+ * | action    | method     | path              | route name      |
+ * |-----------|------------|-------------------|-----------------|
+ * | `index`   | GET        | `/users`          | `users.index`   |
+ * | `new`     | GET        | `/users/new`      | `users.new`     |
+ * | `create`  | POST       | `/users`          | `users.create`  |
+ * | `show`    | GET        | `/users/:id`      | `users.show`    |
+ * | `edit`    | GET        | `/users/:id/edit` | `users.edit`    |
+ * | `update`  | PUT, PATCH | `/users/:id`      | `users.update`  |
+ * | `destroy` | DELETE     | `/users/:id`      | `users.destroy` |
+ *
+ * @example
+ *
+ * ```javascript
+ * router.resource('users', {
+ *   index: (ctx, next) => {...},
+ *   show: (ctx, next) => {...},
+ *   create: [auth, (ctx, next) => {...}],
+ *   publish: (ctx, next) => {...}
+ * }, {
+ *   member: { publish: 'post' } // POST /users/:id/publish
+ * });
+ *
+ * // GET /users/:userId/posts, GET /users/:userId/posts/:id
+ * router.resource('posts', posts, { parent: 'users', only: ['index', 'show'] });
+ *
+ * router.url('users.posts.show', { userId: 1, id: 2 });
+ * // => "/users/1/posts/2"
+ * ```
+ *
+ * @param {String} name resource name, used for the path and route names
+ * @param {Object} controller actions by name
+ * @param {Object=} opts
+ * @param {Array.<String>=} opts.only register only these actions, which must
+ * be conventional or custom actions
+ * @param {Array.<String>=} opts.except register all actions but these
+ * @param {String=} opts.path path segment (default: `name`)
+ * @param {String=} opts.param member parameter name (default: `id`)
+ * @param {String=} opts.parent name of a resource declared before to nest
+ * this one under
+ * @param {String=} opts.nestedParam parameter name of this resource in the
+ * paths of nested resources (default: singular name + `Id`, as `userId`)
+ * @param {Object=} opts.member custom member actions mapped to HTTP methods
+ * @param {Object=} opts.collection custom collection actions mapped to HTTP
+ * methods
+ * @returns {Router}
+ */
+
+Router.prototype.resource = function (name, controller, opts) {
+  return resource(this, name, controller, opts);
+};
+
 /**
  * Redirect `source` to `destination` URL with optional 30x status `code`.
  *
@@ -545,27 +1095,44 @@ Router.prototype.all = function (name, path, middleware) {
  * });
  * ```
  *
+ * Params captured from the source fill in the params of the destination,
+ * a path pattern, URL or route name, and the query string of the request
+ * is kept. `GET` and `HEAD` requests are redirected with `301`, other
+ * methods with `308`, so they are repeated with the same method and body,
+ * or `302` and `307` with `permanent: false`.
+ *
+ * ```javascript
+ * router.redirect('/old/:id', '/new/:id');
+ * // GET /old/3?tab=posts => 301 /new/3?tab=posts
+ *
+ * router.redirect('/members/:memberId', 'user', {
+ *   params: { id: 'memberId' },
+ *   methods: ['get']
+ * });
+ *
+ * router.redirect('/blog/:slug', 'https://blog.example.com/posts/:slug', {
+ *   permanent: false
+ * });
+ * ```
+ *
  * @param {String} source URL or route name.
- * @param {String} destination URL or route name.
- * @param {Number=} code HTTP status code (default: 301).
+ * @param {String} destination URL, path pattern or route name.
+ * @param {Number|Object=} options HTTP status code, or options
+ * @param {Number=} options.status HTTP status code (default: depends on the
+ * method and `permanent`)
+ * @param {Boolean=} options.permanent use permanent rather than temporary
+ * redirects (default: `true`)
+ * @param {Array.<String>=} options.methods methods to redirect (default: all)
+ * @param {Object|Function=} options.params destination params mapped to
+ * source params, or a function `(params, ctx)` returning the destination
+ * params
+ * @param {Boolean=} options.query keep the query string (default: `true`)
+ * @param {String=} options.name name of the redirect route
  * @returns {Router}
  */
 
-Router.prototype.redirect = function (source, destination, code) {
-  // lookup source route by name
-  if (source[0] !== '/') {
-    source = this.url(source);
-  }
-
-  // lookup destination route by name
-  if (destination[0] !== '/') {
-    destination = this.url(destination);
-  }
-
-  return this.all(source, ctx => {
-    ctx.redirect(destination);
-    ctx.status = code || 301;
-  });
+Router.prototype.redirect = function (source, destination, options) {
+  return redirect(this, source, destination, options);
 };
 
 /**
@@ -574,11 +1141,14 @@ Router.prototype.redirect = function (source, destination, code) {
  * @param {String} path Path string.
  * @param {Array.<String>} methods Array of HTTP verbs.
  * @param {Function} middleware Multiple middleware also accepted.
+ * @param {Object=} opts
+ * @param {Array.<Layer>=} pending routes registered by the same call for
+ * other paths, which share the route name
  * @returns {Layer}
  * @private
  */
 
-Router.prototype.register = function (path, methods, middleware, opts) {
+Router.prototype.register = function (path, methods, middleware, opts, pending) {
   opts = opts || {};
 
   var router = this;
@@ -591,8 +1161,10 @@ Router.prototype.register = function (path, methods, middleware, opts) {
   // 支持数组路由形式
   // support array of paths
   if (Array.isArray(path)) {
+    // 同一次注册的各个路径共用路由名
+    var routes = [];
     path.forEach(function (p) {
-      router.register.call(router, p, methods, middleware, opts);
+      routes.push(router.register.call(router, p, methods, middleware, opts, routes));
     });
     // 返回this 支持链式调用
     return this;
@@ -606,6 +1178,8 @@ Router.prototype.register = function (path, methods, middleware, opts) {
    *    3. methods 注册路由时传进来的methods
    *    4. stack 路由处理函数中间件
    */
+  // 路由名在本路由和挂载到的各级路由中都不能重复
+  if (opts.name) checkName(this, opts.name, pending);
   // create route
   // https://github.com/pillarjs/path-to-regexp 第四个参数主要是path-to-regexp所需要的参数
   var route = new Layer(path, methods, middleware, {
@@ -614,25 +1188,32 @@ Router.prototype.register = function (path, methods, middleware, opts) {
     sensitive: opts.sensitive || this.opts.sensitive || false, // 大小写精确匹配（default: false，不是）
     strict: opts.strict || this.opts.strict || false, // 末尾斜杠是否精确匹配（default: false，不是）
     prefix: opts.prefix || this.opts.prefix || "", // 路由前缀
-    ignoreCaptures: opts.ignoreCaptures // 暂时未知???
+    ignoreCaptures: opts.ignoreCaptures, // 暂时未知???
+    meta: opts.meta, // 路由描述信息，用于生成文档
+    validate: opts.validate, // 请求参数校验规则
+    host: opts.host || this.opts.host, // 限定的主机名
+    version: opts.version, // 路由所服务的API版本
+    consumes: opts.consumes, // 接受的请求Content-Type
+    produces: opts.produces, // 能够响应的内容类型
+    cors: opts.cors // 覆盖router.cors()的跨域配置
   });
   // 设置路由前缀
   if (this.opts.prefix) {
     route.setPrefix(this.opts.prefix);
   }
-  // 添加参数校验中间件
-  // add parameter middleware
-  Object.keys(this.params).forEach(function (param) {
-    route.param(param, this.params[param]);
-  }, this);
+  // 开启lint时检查与已注册路由的冲突
+  checkConflicts(this, route);
   // 往stack中添加Layer实例
   stack.push(route);
+  addViews(this, [route]);
+  invalidate(this);
 
   return route;
 };
 
 /**
- * Lookup route with given `name`.
+ * Lookup route with given `name`. Routes of nested routers mounted with the
+ * `as` option are found by their namespaced name, like `users.show`.
  *
  * @param {String} name
  * @returns {Layer|false}
@@ -651,87 +1232,415 @@ Router.prototype.route = function (name) {
 };
 
 /**
- * Generate URL for route. Takes a route name and map of named `params`.
+ * Remove routes at runtime. `route` is either a route name or a method and
+ * path like `'GET /users/:id'`, the path as this router sees it, including
+ * prefixes. Given a method, only that method is removed from routes serving
+ * several methods (`HEAD` goes with `GET`).
+ *
+ * Routes are removed from the router they were registered on, and so from
+ * every router it is mounted into with `router.use()`.
  *
  * @example
  *
  * ```javascript
- * router.get('user', '/users/:id', (ctx, next) => {
- *   // ...
- * });
- *
- * router.url('user', 3);
- * // => "/users/3"
- *
- * router.url('user', { id: 3 });
- * // => "/users/3"
- *
- * router.use((ctx, next) => {
- *   // redirect to named route
- *   ctx.redirect(ctx.router.url('sign-in'));
- * })
- *
- * router.url('user', { id: 3 }, { query: { limit: 1 } });
- * // => "/users/3?limit=1"
+ * router.get('beta', '/beta', ...);
+ * api.use('/api', router.routes());
  *
- * router.url('user', { id: 3 }, { query: "limit=1" });
- * // => "/users/3?limit=1"
+ * router.remove('beta');
+ * // or
+ * api.remove('GET /api/beta');
  * ```
  *
- * @param {String} name route name
- * @param {Object} params url parameters
- * @param {Object} [options] options parameter
- * @param {Object|String} [options.query] query options
- * @returns {String|Error}
+ * @param {String} route route name, or method and path
+ * @returns {Router}
+ * @throws {Error}
  */
 
-Router.prototype.url = function (name, params) {
-  var route = this.route(name);
+Router.prototype.remove = function (route) {
+  var target = methodAndPath(route);
+  var layers = findRoutes(this, route);
+  if (!layers.length) throw new Error('No route found for: ' + route);
 
-  if (route) {
-    var args = Array.prototype.slice.call(arguments, 1);
-    return route.url.apply(route, args);
-  }
+  layers.forEach(function (found) {
+    var router = owner(this, found);
+    var layer = source(found);
+
+    if (target) {
+      layer.methods = layer.methods.filter(function (method) {
+        return method !== target.method && !(target.method === 'GET' && method === 'HEAD');
+      });
+    }
+
+    // a route left without methods would turn into middleware
+    if (!target || !layer.methods.length) {
+      router.stack.splice(router.stack.indexOf(layer), 1);
+      removeViews(router, [layer]);
+    }
+    invalidate(router);
+  }, this);
 
-  return new Error("No route found for name: " + name);
+  return this;
 };
 
 /**
- * Match given `path` and return corresponding routes.
+ * Replace the middleware of a route at runtime, in every router it is
+ * mounted into.
+ * `route` is a route name or a method and path as for `router.remove()`.
+ * Param middleware added with `router.param()` still runs.
  *
- * @param {String} path
- * @param {String} method
- * @returns {Object.<path, pathAndMethod>} returns layers that matched path and
- * path and method.
- * @private
- */
-
-Router.prototype.match = function (path, method) {
+ * @example
+ *
+ * ```javascript
+ * router.replace('user', (ctx, next) => {
+ *   ctx.status = 503;
+ * });
+ * ```
+ *
+ * @param {String} route route name, or method and path
+ * @param {Function|Array.<Function>} middleware
+ * @returns {Router}
+ */
+
+Router.prototype.replace = function (route, middleware) {
+  var layers = findRoutes(this, route);
+  if (!layers.length) throw new Error('No route found for: ' + route);
+
+  middleware = Array.isArray(middleware)
+    ? middleware
+    : Array.prototype.slice.call(arguments, 1);
+
+  layers.forEach(function (layer) {
+    source(layer).replace(middleware);
+    invalidate(owner(this, layer));
+  }, this);
+
+  return this;
+};
+
+/**
+ * Returns a description of every registered route as plain objects, in
+ * registration order. Prefer this over reading `router.stack`, whose layers
+ * are internal.
+ *
+ * Middleware added with `router.use()` is included with an empty `methods`
+ * list and `end: false`.
+ *
+ * @example
+ *
+ * ```javascript
+ * var router = new Router({ prefix: '/api' });
+ *
+ * router.get('user', '/users/:id', function auth() {}, function show() {});
+ *
+ * router.getRoutes();
+ * // => [{
+ * //   name: 'user',
+ * //   methods: ['HEAD', 'GET'],
+ * //   path: '/api/users/:id',
+ * //   host: null,
+ * //   versions: [],
+ * //   consumes: [],
+ * //   produces: [],
+ * //   params: [{ name: 'id', type: null, modifier: '', optional: false, repeat: false }],
+ * //   middleware: { count: 2, names: ['auth', 'show'] },
+ * //   sensitive: false,
+ * //   strict: false,
+ * //   end: true
+ * // }]
+ * ```
+ *
+ * @returns {Array.<Object>}
+ */
+
+Router.prototype.getRoutes = function () {
+  return this.stack.map(function (layer) {
+    return layer.describe();
+  });
+};
+
+/**
+ * Returns an [OpenAPI 3.0](https://spec.openapis.org/oas/v3.0.3) document
+ * describing the registered routes.
+ *
+ * Path parameters become `{name}` templates, and a route with optional
+ * parameters is listed once with and once without them. Route names become
+ * `operationId`s. Summaries, tags and schemas come from the `meta` route
+ * option, and parameters and request bodies also from `validate` schemas.
+ * Middleware added with `router.use()` and regexp paths cannot be described
+ * and are left out.
+ *
+ * @example
+ *
+ * ```javascript
+ * router.get('user', '/users/:id', {
+ *   meta: {
+ *     summary: 'Find a user',
+ *     responses: { 200: { type: 'object' } }
+ *   }
+ * }, show);
+ *
+ * router.toOpenAPI({ title: 'Users', version: '1.0.0' });
+ * // => {
+ * //   openapi: '3.0.3',
+ * //   info: { title: 'Users', version: '1.0.0' },
+ * //   paths: {
+ * //     '/users/{id}': {
+ * //       get: {
+ * //         operationId: 'user',
+ * //         summary: 'Find a user',
+ * //         parameters: [
+ * //           { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+ * //         ],
+ * //         responses: {
+ * //           200: {
+ * //             description: 'OK',
+ * //             content: { 'application/json': { schema: { type: 'object' } } }
+ * //           }
+ * //         }
+ * //       }
+ * //     }
+ * //   }
+ * // }
+ * ```
+ *
+ * @param {Object} info OpenAPI info object
+ * @param {String} info.title
+ * @param {String} info.version
+ * @returns {Object}
+ */
+
+Router.prototype.toOpenAPI = function (info) {
+  return openapi(this.stack, info);
+};
+
+/**
+ * Returns the conflicts between registered routes: exact `duplicate`s,
+ * `unreachable` routes whose paths all match a route registered before, and
+ * `ambiguous` routes sharing some paths with a route registered before.
+ * Routes only conflict when they share a method and may serve the same
+ * hostname, API version and content types.
+ *
+ * Pass the `lint` option to the constructor to check routes as they are
+ * registered. With the `order` option set to `'specificity'`, routes more
+ * specific than a route registered before are not reported as unreachable
+ * or ambiguous, since they win wherever both match.
+ *
+ * @example
+ *
+ * ```javascript
+ * router.get('user', '/users/:id', ...);
+ * router.get('me', '/users/me', ...);
+ *
+ * router.lint();
+ * // => [{
+ * //   type: 'unreachable',
+ * //   methods: ['HEAD', 'GET'],
+ * //   route: { name: 'me', methods: ['HEAD', 'GET'], path: '/users/me' },
+ * //   conflictsWith: { name: 'user', methods: ['HEAD', 'GET'], path: '/users/:id' },
+ * //   message: 'HEAD, GET /users/me ("me") is unreachable, HEAD, GET /users/:id ("user") registered before matches all of its paths'
+ * // }]
+ * ```
+ *
+ * @returns {Array.<Object>}
+ */
+
+Router.prototype.lint = function () {
+  return lint(this.stack, this.opts.order);
+};
+
+/**
+ * Returns the routes of the router as a route table, in the format
+ * `Router.fromTable()` takes. Handlers and middleware are named after their
+ * key in `options.handlers` and `options.middleware`, or after the
+ * function. Middleware added with `router.use()` is left out, and paths are
+ * given without the prefix of the router, as `Router.fromTable()` adds it.
+ * Routes serving every method, as registered by `router.all()`, get the
+ * method `'all'`.
+ *
+ * @example
+ *
+ * ```javascript
+ * router.toTable({ handlers: { users: users } });
+ * // => [{
+ * //   method: 'GET',
+ * //   path: '/users/:id',
+ * //   handler: 'users.show',
+ * //   middleware: ['auth'],
+ * //   name: 'user'
+ * // }]
+ * ```
+ *
+ * @param {Object=} options
+ * @param {Object=} options.handlers handlers by name
+ * @param {Object=} options.middleware middleware by name
+ * @returns {Array.<Object>}
+ */
+
+Router.prototype.toTable = function (options) {
+  return table.toRows(this, options);
+};
+
+/**
+ * Generate URL for route. Takes a route name and map of named `params`.
+ *
+ * @example
+ *
+ * ```javascript
+ * router.get('user', '/users/:id', (ctx, next) => {
+ *   // ...
+ * });
+ *
+ * router.url('user', 3);
+ * // => "/users/3"
+ *
+ * router.url('user', { id: 3 });
+ * // => "/users/3"
+ *
+ * router.use((ctx, next) => {
+ *   // redirect to named route
+ *   ctx.redirect(ctx.router.url('sign-in'));
+ * })
+ *
+ * router.url('user', { id: 3 }, { query: { limit: 1 } });
+ * // => "/users/3?limit=1"
+ *
+ * router.url('user', { id: 3 }, { query: "limit=1" });
+ * // => "/users/3?limit=1"
+ *
+ * router.url('user', {});
+ * // throws TypeError: Missing param "id" for route `user`
+ * ```
+ *
+ * Missing or malformed params throw a `TypeError` as described in
+ * `Layer#url()`. An unknown route name throws an error with the code
+ * `ERR_ROUTE_NOT_FOUND`.
+ *
+ * @param {String} name route name
+ * @param {Object} params url parameters
+ * @param {Object} [options] options parameter
+ * @param {Object|String} [options.query] query options
+ * @param {String} [options.hash] URL fragment
+ * @returns {String}
+ * @throws {Error}
+ */
+
+Router.prototype.url = function (name, params) {
+  var route = this.route(name);
+
+  if (route) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    return route.url.apply(route, args);
+  }
+
+  throw errors.routeNotFound(name);
+};
+
+/**
+ * Generate an absolute URL for a route inside middleware, available as
+ * `ctx.urlFor()`. Takes the same arguments as `router.url()`, plus a
+ * `baseUrl` option.
+ *
+ * Names are looked up in the routers the dispatching router is mounted
+ * into first, so routes of nested routers get their full path. The URL
+ * starts with `options.baseUrl`, the `baseUrl` option of the router, or the
+ * request's protocol and host, in that order. Routes restricted to a
+ * hostname without parameters use that hostname instead of the request's.
+ *
+ * @example
+ *
+ * ```javascript
+ * var router = new Router({ baseUrl: 'https://example.com' });
+ *
+ * router.get('user', '/users/:id', ...);
+ * router.post('/users', (ctx, next) => {
+ *   // ...
+ *   ctx.set('Location', ctx.urlFor('user', { id: user.id }));
+ *   // => "https://example.com/users/3"
+ * });
+ *
+ * ctx.urlFor('user', 3, { query: { tab: 'posts' }, baseUrl: 'https://api.example.com' });
+ * // => "https://api.example.com/users/3?tab=posts"
+ * ```
+ *
+ * @name urlFor
+ * @memberof module:koa-router.prototype
+ * @param {String} name route name
+ * @param {Object} params url parameters
+ * @param {Object} [options] options of `router.url()`
+ * @param {String} [options.baseUrl] origin and path the URL starts with
+ * @returns {String}
+ * @throws {Error}
+ */
+
+/**
+ * Match given `path` and return corresponding routes.
+ *
+ * Layers restricted to a hostname only match when `constraints.host` is
+ * given and matches. Layers matching path and method but not the API
+ * version, content type or accepted types of the request are left out of
+ * `pathAndMethod`; what they would have needed is listed in `versions`,
+ * `consumes` and `produces`.
+ *
+ * @param {String} path
+ * @param {String} method
+ * @param {Object=} constraints
+ * @param {String=} constraints.host request hostname
+ * @param {String=} constraints.version API version asked for
+ * @param {String=} constraints.type request `Content-Type` header
+ * @param {String=} constraints.accept request `Accept` header
+ * @returns {Object.<path, pathAndMethod, versions, consumes, produces>}
+ * returns layers that matched path and path and method.
+ * @private
+ */
+
+Router.prototype.match = function (path, method, constraints) {
   // this.stack 即为路由实例数组
-  var layers = this.stack;
+  var tree = this.tree();
+  var layers = tree.layers;
+  var c = constraints || {};
+  var host = c.host;
+  // 同一路径只是大小写不同时匹配结果相同，除非有区分大小写的路由
+  var key = JSON.stringify([method, host, c.version, c.type, c.accept, normalizePath(path, tree)]);
+  var cached = this._cache && this._cache.get(key);
+
+  if (cached) return copyMatch(cached);
+
+  // 只有静态前缀与path相符的Layer才需要做正则匹配，顺序与this.stack一致
+  var candidates = tree.lookup(path);
   var layer;
   // 命中的路由
   var matched = {
     path: [],
     pathAndMethod: [], // 包含路由处理函数
+    versions: [], // 路径和方法匹配但版本不符的路由所服务的版本
+    consumes: [], // 路径和方法匹配但Content-Type不符的路由所接受的类型
+    produces: [], // 路径和方法匹配但Accept不符的路由所响应的类型
     route: false
   };
 
-  for (var len = layers.length, i = 0; i < len; i++) {
-    layer = layers[i];
+  for (var len = candidates.length, i = 0; i < len; i++) {
+    layer = layers[candidates[i]];
 
     debug('test %s %s', layer.path, layer.regexp);
     /**
      * 第一重匹配，路径匹配
      * Layer的match方法，检测当前的路由是否与layer注册时生成的path正则相匹配
      */
-    if (layer.match(path)) {
+    if (layer.match(path, host)) {
       matched.path.push(layer);
       /**
        * 第二重匹配，方法(get post...)匹配
        * layer没有指定method(比如通过router.use(() => {})添加的这种形式的路由中间件)，或者当前请求的method在注册时允许的methods中
        */
       if (layer.methods.length === 0 || ~layer.methods.indexOf(method)) {
+        // 版本或内容类型不符的路由不参与处理，只记录其所支持的值
+        var constraint = layer.unmet(c);
+        if (constraint) {
+          layer[constraint].forEach(function (v) {
+            if (!~matched[constraint].indexOf(v)) matched[constraint].push(v);
+          });
+          continue;
+        }
         matched.pathAndMethod.push(layer);
         // 如果没有这句话，就算匹配中了路径，也不会走到对应的路由处理函数中去，具体看Router.prototype.routes
         // 用于判断是否真正匹配到路由处理函数
@@ -740,9 +1649,33 @@ Router.prototype.match = function (path, method) {
     }
   }
 
+  if (this.opts.order === 'specificity') {
+    matched.pathAndMethod = specificity(matched.pathAndMethod);
+  }
+
+  if (this._cache) this._cache.set(key, copyMatch(matched));
+
   return matched;
 };
 
+/**
+ * Returns the prefix tree used by `Router#match()` to skip layers whose
+ * static path segments cannot match, building it on first use after the
+ * stack changed.
+ *
+ * @returns {Tree}
+ * @private
+ */
+
+Router.prototype.tree = function () {
+  if (!this._tree || this._tree.layers.length !== this.stack.length) {
+    this._tree = new Tree(this.stack);
+    if (this._cache) this._cache.clear();
+  }
+
+  return this._tree;
+};
+
 /**
  * Run middleware for named route parameters. Useful for auto-loading or
  * validation.
@@ -768,6 +1701,28 @@ Router.prototype.match = function (path, method) {
  *   // /users/3/friends => [{"id": 4, "name": "TJ"}]
  * ```
  *
+ * Param middleware is looked up when a request is dispatched, so it applies
+ * to routes registered before or after it and to routes of nested routers,
+ * whenever it was registered. Routes of a nested router get the param
+ * middleware of the router they were registered on and of every router it
+ * is mounted into, the outermost router's first. Each param middleware runs
+ * once per request and parameter value, even when several matched routes or
+ * nesting levels share the parameter.
+ *
+ * ```javascript
+ * var posts = new Router();
+ *
+ * posts
+ *   .param('post', loadPost)
+ *   .get('/:post', ...);
+ *
+ * router
+ *   .use('/users/:user/posts', posts.routes())
+ *   .param('user', loadUser);
+ *
+ * // GET /users/3/posts/7 runs loadUser, then loadPost
+ * ```
+ *
  * @param {String} param
  * @param {Function} middleware
  * @returns {Router}
@@ -775,12 +1730,47 @@ Router.prototype.match = function (path, method) {
 
 Router.prototype.param = function (param, middleware) {
   this.params[param] = middleware;
-  this.stack.forEach(function (route) {
-    route.param(param, middleware);
-  });
+  invalidate(this);
   return this;
 };
 
+/**
+ * Load the entity named by a route parameter before the route middleware
+ * runs. `loader` is called with the parameter value and `ctx` and returns
+ * the entity or a promise for it, which is put in `ctx.state`. When it
+ * returns `null` or `undefined` the request fails with `opts.notFound`.
+ *
+ * Loading is param middleware, see `router.param()`: it applies to nested
+ * routers and the loader runs once per request and value, even when several
+ * matched routes share the parameter.
+ *
+ * @example
+ *
+ * ```javascript
+ * router
+ *   .load('user', id => db.users.find(id), { as: 'user' })
+ *   .get('/users/:user', ctx => {
+ *     ctx.body = ctx.state.user;
+ *   });
+ *
+ * // GET /users/404 => 404 No user found for user "404"
+ * ```
+ *
+ * @param {String} param
+ * @param {Function} loader
+ * @param {Object=} opts
+ * @param {String=} opts.as `ctx.state` property for the entity (default:
+ * `param`)
+ * @param {Number|Function|Boolean=} opts.notFound status thrown when nothing
+ * is found (default: `404`), middleware `(ctx, next)` to run instead, or
+ * `false` to continue with `null`
+ * @returns {Router}
+ */
+
+Router.prototype.load = function (param, loader, opts) {
+  return this.param(param, load(param, loader, opts));
+};
+
 /**
  * Generate URL from url pattern and given `params`.
  *
@@ -799,3 +1789,690 @@ Router.url = function (path, params) {
     var args = Array.prototype.slice.call(arguments, 1);
     return Layer.prototype.url.apply({ path: path }, args);
 };
+
+/**
+ * Create a router with the routes described by `rows`, a route table as
+ * kept in configuration files. Each row has a `path`, a `method` or array
+ * of methods (default: all), a `handler` and optional `middleware`, given
+ * as functions or names looked up in `options.handlers` and
+ * `options.middleware`, where dotted names like `users.show` reach into
+ * nested objects. Other properties, like `name`, `host` or `meta`, are
+ * route options, see `router.verb()`.
+ *
+ * @example
+ *
+ * ```javascript
+ * var router = Router.fromTable([
+ *   { method: 'get', path: '/users/:id', name: 'user', handler: 'users.show', middleware: ['auth'] },
+ *   { method: ['put', 'patch'], path: '/users/:id', handler: 'users.update', middleware: ['auth'] }
+ * ], {
+ *   handlers: { users: require('./controllers/users') },
+ *   middleware: { auth: auth() },
+ *   router: { prefix: '/api' }
+ * });
+ * ```
+ *
+ * @param {Array.<Object>} rows
+ * @param {Object=} options
+ * @param {Object=} options.handlers handlers by name
+ * @param {Object=} options.middleware middleware by name
+ * @param {Object=} options.router options of the router created
+ * @returns {Router}
+ */
+
+Router.fromTable = function (rows, options) {
+  options = options || {};
+  return table(new Router(options.router), rows, options);
+};
+
+/**
+ * Register a parameter type for `:name<type>` route parameters. Routes
+ * registered afterwards only match when the segment matches `pattern` and
+ * passes `test`, and `ctx.params` holds the result of `parse`.
+ *
+ * @example
+ *
+ * ```javascript
+ * Router.paramType('slug', { pattern: '[a-z0-9]+(?:-[a-z0-9]+)*' });
+ * Router.paramType('objectId', {
+ *   pattern: /[0-9a-f]{24}/,
+ *   parse: id => new ObjectId(id),
+ *   format: id => id.toHexString()
+ * });
+ *
+ * router.get('/posts/:slug<slug>', ...);
+ * router.get('/things/:id<objectId>', ...);
+ * ```
+ *
+ * @param {String} name
+ * @param {Object} type
+ * @param {String|RegExp} type.pattern pattern a path segment must match,
+ * without capturing groups
+ * @param {Function=} type.test whether the decoded segment is a valid value
+ * @param {Function=} type.parse turn the decoded segment into the param value
+ * @param {Function=} type.format turn a param value into a segment for
+ * `router.url()`
+ * @param {Object=} type.schema JSON schema used by `router.toOpenAPI()`
+ * @returns {Router}
+ */
+
+Router.paramType = function (name, type) {
+  types.define(name, type);
+  return Router;
+};
+
+/**
+ * Throw when a route named `name` exists in `router` or, under the name it
+ * gets there, in a router `router` is mounted into. Routes in `pending`,
+ * added by the same call for other paths, and views of `layer`, which a
+ * router mounted at several paths has, do not count.
+ *
+ * @param {Router} router
+ * @param {String} name
+ * @param {Array.<Layer>=} pending
+ * @param {Layer=} layer the route being named
+ * @private
+ */
+
+function checkName(router, name, pending, layer) {
+  var shared = (pending || []).map(source).concat(layer ? source(layer) : []);
+  var taken = function (router, name) {
+    var existing = router.route(name);
+    if (existing && !~shared.indexOf(source(existing))) return true;
+    return router._parents.some(function (parent) {
+      return parent._mounts.some(function (mount) {
+        return mount.router === router && taken(parent, mount.as ? mount.as + '.' + name : name);
+      });
+    });
+  };
+
+  if (taken(router, name)) {
+    throw new Error('Route name `' + name + '` is already taken');
+  }
+}
+
+/**
+ * Drop the prefix tree and cached match results derived from `router.stack`,
+ * in `router` and the routers it is mounted into.
+ *
+ * @param {Router} router
+ * @private
+ */
+
+function invalidate(router) {
+  router._tree = null;
+  if (router._cache) router._cache.clear();
+
+  router._parents.forEach(invalidate);
+}
+
+/**
+ * Rebuild the views of `router` in the routers it is mounted into, after
+ * the paths of all its routes changed.
+ *
+ * @param {Router} router
+ * @private
+ */
+
+function remount(router) {
+  router._parents.forEach(function (parent) {
+    parent._mounts.forEach(function (mount) {
+      if (mount.router === router) refresh(mount);
+    });
+    remount(parent);
+  });
+}
+
+/**
+ * Add views of `layers`, just added to the stack of `router`, to the
+ * routers it is mounted into, next to the views of the layers around them.
+ *
+ * @param {Router} router
+ * @param {Array.<Layer>} layers
+ * @private
+ */
+
+function addViews(router, layers) {
+  router._parents.forEach(function (parent) {
+    parent._mounts.forEach(function (mount) {
+      if (mount.router !== router) return;
+      var views = layers.map(function (layer) {
+        var view = mountView(mount, layer);
+        insertView(mount, view);
+        return view;
+      });
+      addViews(parent, views);
+    });
+  });
+}
+
+/**
+ * Remove the views of `layers`, just removed from the stack of `router`,
+ * from the routers it is mounted into.
+ *
+ * @param {Router} router
+ * @param {Array.<Layer>} layers
+ * @private
+ */
+
+function removeViews(router, layers) {
+  router._parents.forEach(function (parent) {
+    var removed = [];
+    for (var i = parent.stack.length - 1; i >= 0; i--) {
+      var view = parent.stack[i];
+      if (view.mount && view.mount.router === router && ~layers.indexOf(Object.getPrototypeOf(view))) {
+        removed.push(parent.stack.splice(i, 1)[0]);
+      }
+    }
+    if (removed.length) removeViews(parent, removed);
+  });
+}
+
+/**
+ * Returns the route among `layers` producing the type `accept` prefers
+ * most, and that type, or `null` when no route declares the types it
+ * produces. Of several routes producing equally preferred types the first
+ * wins.
+ *
+ * @param {Array.<Layer>} layers
+ * @param {String} accept request `Accept` header
+ * @returns {Object|null}
+ * @private
+ */
+
+function negotiateRoutes(layers, accept) {
+  var producing = layers.filter(function (layer) {
+    return layer.methods.length && layer.produces.length;
+  });
+  if (!producing.length) return null;
+
+  var types = [];
+  producing.forEach(function (layer) {
+    layer.produces.forEach(function (type) {
+      if (!~types.indexOf(type)) types.push(type);
+    });
+  });
+
+  var type = accepts({ headers: { accept: accept } }).types(types);
+  for (var i = 0; i < producing.length; i++) {
+    if (~producing[i].produces.indexOf(type)) return { layer: producing[i], type: type };
+  }
+
+  return { layer: producing[0], type: producing[0].negotiate(accept) };
+}
+
+/**
+ * Returns the routes of `router` that `route` names, either by name or by
+ * method and path.
+ *
+ * @param {Router} router
+ * @param {String} route
+ * @returns {Array.<Layer>}
+ * @private
+ */
+
+function findRoutes(router, route) {
+  var target = methodAndPath(route);
+
+  return router.stack.filter(function (layer) {
+    if (!layer.methods.length) return false;
+    if (!target) return layer.name === route;
+    return String(layer.path) === target.path && ~layer.methods.indexOf(target.method);
+  });
+}
+
+function methodAndPath(route) {
+  var parts = /^([a-z]+)\s+(\S+)$/i.exec(route);
+  return parts && { method: parts[1].toUpperCase(), path: parts[2] };
+}
+
+/**
+ * Returns the layers `mount.parent` uses for the routes of the mounted
+ * router: views inheriting from the child's layers, with the mount path,
+ * prefix and host of the parent applied to the view only.
+ *
+ * @param {Object} mount
+ * @returns {Array.<Layer>}
+ * @private
+ */
+
+function mountViews(mount) {
+  return mount.router.stack.map(function (layer) {
+    return mountView(mount, layer);
+  });
+}
+
+/**
+ * Returns the view of `layer` for `mount`, see `mountViews()`.
+ *
+ * @param {Object} mount
+ * @param {Layer} layer
+ * @returns {Layer}
+ * @private
+ */
+
+function mountView(mount, layer) {
+  var parent = mount.parent;
+  var view = Object.create(layer);
+
+  view.mount = mount;
+  if (mount.as && layer.name) view.name = mount.as + '.' + layer.name;
+  if (mount.path) view.setPrefix(mount.path);
+  if (parent.opts.prefix) view.setPrefix(parent.opts.prefix);
+  if (parent.opts.host && !view.host) view.setHost(parent.opts.host);
+
+  return view;
+}
+
+/**
+ * Insert `view` into the parent's stack in the position of its layer in
+ * the mounted router: after the view of the closest layer before it, or
+ * where the views of `mount` start.
+ *
+ * @param {Object} mount
+ * @param {Layer} view
+ * @private
+ */
+
+function insertView(mount, view) {
+  var stack = mount.parent.stack;
+  var layers = mount.router.stack;
+
+  for (var k = layers.lastIndexOf(Object.getPrototypeOf(view)) - 1; k >= 0; k--) {
+    // new routes usually follow the last view, so search from the end
+    for (var i = stack.length - 1; i >= 0; i--) {
+      if (stack[i].mount === mount && Object.getPrototypeOf(stack[i]) === layers[k]) {
+        stack.splice(i + 1, 0, view);
+        return;
+      }
+    }
+  }
+
+  for (var j = 0; j < stack.length; j++) {
+    if (stack[j].mount === mount) break;
+  }
+  stack.splice(j < stack.length ? j : mountStart(mount), 0, view);
+}
+
+/**
+ * Returns where the views of `mount` go in the parent's stack when it has
+ * none yet: after what preceded the mount.
+ *
+ * @param {Object} mount
+ * @returns {Number}
+ * @private
+ */
+
+function mountStart(mount) {
+  var stack = mount.parent.stack;
+  if (!mount.after) return 0;
+
+  for (var j = stack.length - 1; j >= 0; j--) {
+    if (stack[j] === mount.after || stack[j].mount === mount.after) return j + 1;
+  }
+
+  return stack.length;
+}
+
+/**
+ * Replace the views of `mount` in the parent's stack after the mounted
+ * router changed, keeping their position.
+ *
+ * @param {Object} mount
+ * @private
+ */
+
+function refresh(mount) {
+  var stack = mount.parent.stack;
+  var at = -1;
+
+  for (var i = stack.length - 1; i >= 0; i--) {
+    if (stack[i].mount === mount) {
+      stack.splice(i, 1);
+      at = i;
+    }
+  }
+
+  // the mount had no routes, place them after what preceded it
+  if (at === -1) at = mountStart(mount);
+
+  stack.splice.apply(stack, [at, 0].concat(mountViews(mount)));
+}
+
+/**
+ * Returns `ctx.urlFor()` for requests dispatched by `router`.
+ *
+ * @param {Router} router dispatching router
+ * @param {Object} ctx
+ * @returns {Function}
+ * @private
+ */
+
+function urlFor(router, ctx) {
+  return function (name) {
+    var found = findNamed(router, name, []);
+    if (!found) throw errors.routeNotFound(name);
+
+    var route = found.route;
+    var args = Array.prototype.slice.call(arguments, 1);
+    var last = args[args.length - 1];
+    // 只有在参数之后，或路由没有参数时，最后一个对象才是options
+    var options = last && typeof last === 'object' && (args.length > 1 || !route.paramNames.length) ? last : {};
+    var base = options.baseUrl || found.router.opts.baseUrl || router.opts.baseUrl;
+
+    if (!base) {
+      var host = typeof route.host === 'string' && !~route.host.indexOf(':') ? route.host : null;
+      base = host ? ctx.protocol + '://' + host : ctx.origin;
+    }
+
+    return base.replace(/\/+$/, '') + route.url.apply(route, args);
+  };
+}
+
+/**
+ * Returns the route named `name` and the router whose stack holds it,
+ * looking through the routers `router` is mounted into before `router`
+ * itself, or `null`.
+ *
+ * @param {Router} router
+ * @param {String} name
+ * @param {Array.<Router>} seen routers already looked through
+ * @returns {Object|null}
+ * @private
+ */
+
+function findNamed(router, name, seen) {
+  if (~seen.indexOf(router)) return null;
+  seen.push(router);
+
+  for (var i = 0; i < router._parents.length; i++) {
+    var found = findNamed(router._parents[i], name, seen);
+    if (found) return found;
+  }
+
+  var route = router.route(name);
+  return route ? { route: route, router: router } : null;
+}
+
+/**
+ * Returns the param middleware for the parameters of `layer`, in the order
+ * they appear in its path, as `{ param, fn }` objects. Middleware is looked
+ * up in `router` and in every router the layer is mounted from, outermost
+ * first, and middleware registered at several levels is only listed once.
+ *
+ * @param {Router} router dispatching router
+ * @param {Layer} layer
+ * @returns {Array.<Object>}
+ * @private
+ */
+
+function paramHandlers(router, layer) {
+  var scopes = [router];
+  var handlers = [];
+
+  for (var l = layer; l.mount; l = Object.getPrototypeOf(l)) {
+    scopes.push(l.mount.router);
+  }
+
+  layer.paramNames.forEach(function (token) {
+    scopes.forEach(function (scope) {
+      var fn = scope.params[token.name];
+      if (!fn || handlers.some(function (h) { return h.fn === fn && h.param === token.name; })) return;
+      handlers.push({ param: token.name, fn: fn });
+    });
+  });
+
+  return handlers;
+}
+
+/**
+ * Returns the layer a mounted view was created from, or `layer` itself.
+ *
+ * @param {Layer} layer
+ * @returns {Layer}
+ * @private
+ */
+
+function source(layer) {
+  while (layer.mount) layer = Object.getPrototypeOf(layer);
+  return layer;
+}
+
+/**
+ * Returns the router `layer`, found in the stack of `router`, was
+ * registered on.
+ *
+ * @param {Router} router
+ * @param {Layer} layer
+ * @returns {Router}
+ * @private
+ */
+
+function owner(router, layer) {
+  while (layer.mount) {
+    router = layer.mount.router;
+    layer = Object.getPrototypeOf(layer);
+  }
+  return router;
+}
+
+/**
+ * Returns `path` as a `router.match()` cache key: in lower case, unless a
+ * layer of `tree` may match it differently in another case.
+ *
+ * @param {String} path
+ * @param {Tree} tree
+ * @returns {String}
+ * @private
+ */
+
+function normalizePath(path, tree) {
+  // 只转换ASCII字母，与不区分大小写的正则一致
+  return tree.sensitive ? path : path.replace(/[A-Z]+/g, function (letters) {
+    return letters.toLowerCase();
+  });
+}
+
+/**
+ * Copy a `router.match()` result. Dispatch appends to `matched.path` through
+ * `ctx.matched`, so cached results are never handed out directly.
+ *
+ * @param {Object} matched
+ * @returns {Object}
+ * @private
+ */
+
+function copyMatch(matched) {
+  return {
+    path: matched.path.slice(),
+    pathAndMethod: matched.pathAndMethod.slice(),
+    versions: matched.versions.slice(),
+    consumes: matched.consumes.slice(),
+    produces: matched.produces.slice(),
+    route: matched.route
+  };
+}
+
+/**
+ * Returns whether `value` is a plain object, such as route options given
+ * before the middleware.
+ *
+ * @param {*} value
+ * @returns {Boolean}
+ * @private
+ */
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+/**
+ * Returns the API version asked for by the `Accept-Version` header, or by a
+ * vendor media type such as `application/vnd.acme.v2+json` in `Accept`.
+ *
+ * @param {Object} ctx
+ * @returns {String|undefined}
+ * @private
+ */
+
+function requestedVersion(ctx) {
+  var header = ctx.get('Accept-Version');
+  if (header) return header.trim();
+
+  var vendor = /\bvnd\.[^\s,;+]*?\.v([\w.-]+?)(?:\+[\w.-]+)?(?=[\s,;]|$)/.exec(ctx.get('Accept'));
+  if (vendor) return vendor[1];
+}
+
+/**
+ * Returns whether `matched` has layers matching path and method which were
+ * left out for the API version, content type or accepted types.
+ *
+ * @param {Object} matched
+ * @returns {Boolean}
+ * @private
+ */
+
+function unmet(matched) {
+  return !!(matched.versions.length || matched.consumes.length || matched.produces.length);
+}
+
+/**
+ * Run the `router.notFound()` or `router.methodNotAllowed()` handler in
+ * scope for an unhandled request no route of `router` matched.
+ *
+ * @param {Router} router
+ * @param {Object} ctx
+ * @param {String} path
+ * @param {Object} matched
+ * @returns {Promise|undefined}
+ * @private
+ */
+
+function fallback(router, ctx, path, matched) {
+  var allowed = [];
+  matched.path.forEach(function (layer) {
+    layer.methods.forEach(function (method) {
+      if (!~allowed.indexOf(method)) allowed.push(method);
+    });
+  });
+
+  var handler;
+  if (allowed.length) {
+    // OPTIONS和未实现的方法交给allowedMethods
+    if (ctx.method === 'OPTIONS' || !~router.methods.indexOf(ctx.method)) return;
+    handler = scoped(router, path, '_methodNotAllowed');
+    if (!handler) return;
+    ctx.status = 405;
+    ctx.set('Allow', allowed.join(', '));
+  } else {
+    handler = scoped(router, path, '_notFound');
+    if (!handler) return;
+    ctx.status = 404;
+  }
+
+  return runHandler(handler, ctx);
+}
+
+function runHandler(handler, ctx) {
+  return Promise.resolve(handler(ctx, function () {
+    return Promise.resolve();
+  }));
+}
+
+/**
+ * Returns the handler stored under `key` for `path`: the handler of the
+ * most deeply nested router whose mount path and prefix `path` is under
+ * and which has one, or `null`. Mounted routers without a handler of their
+ * own pass on to their siblings and then to the enclosing router.
+ *
+ * @param {Router} router
+ * @param {String} path
+ * @param {String} key
+ * @param {String=} base path `router` is mounted at
+ * @returns {Function|null}
+ * @private
+ */
+
+function scoped(router, path, key, base) {
+  var prefix = (base || '') + (router.opts.prefix || '');
+  var opts = { end: false, sensitive: router.opts.sensitive, strict: router.opts.strict };
+
+  if (prefix && !types.toRegExp(prefix, [], opts).test(path)) return null;
+
+  for (var i = 0; i < router._mounts.length; i++) {
+    var mount = router._mounts[i];
+    var found = scoped(mount.router, path, key, prefix + (mount.path || ''));
+    if (found) return found;
+  }
+
+  return router[key] || null;
+}
+
+/**
+ * Respond to a request whose path and method match routes which do not
+ * serve its API version, content type or accepted types.
+ *
+ * @param {Object} ctx
+ * @param {Object} matched
+ * @param {String} version API version asked for
+ * @private
+ */
+
+function reject(ctx, matched, version) {
+  if (matched.versions.length) {
+    ctx.vary('Accept-Version');
+    ctx.vary('Accept');
+    problem.respond(ctx, 406, 'API version "' + version + '" is not available', { versions: matched.versions });
+  } else if (matched.consumes.length) {
+    ctx.set('Accept', matched.consumes.join(', '));
+    problem.respond(ctx, 415, 'Content type "' + ctx.get('Content-Type') + '" is not supported', {
+      types: matched.consumes
+    });
+  } else {
+    ctx.vary('Accept');
+    problem.respond(ctx, 406, 'None of the accepted types can be produced', { types: matched.produces });
+  }
+}
+
+/**
+ * Warn about or throw for conflicts of `layer` with the layers of `router`,
+ * as set by the `lint` option.
+ *
+ * @param {Router} router
+ * @param {Layer} layer
+ * @param {Array.<Layer>=} pending layers about to be added before `layer`
+ * @private
+ */
+
+function checkConflicts(router, layer, pending) {
+  if (!router.opts.lint) return;
+
+  lint.layer(router.stack.concat(pending || []), layer, router.opts.order).forEach(function (conflict) {
+    if (router.opts.lint === 'throw') throw new Error(conflict.message);
+    process.emitWarning(conflict.message, 'RouteConflictWarning');
+  });
+}
+
+/**
+ * Drop the response body of a `HEAD` request, keeping the headers the body
+ * would have produced.
+ *
+ * @param {Object} ctx
+ * @private
+ */
+
+function stripBody(ctx) {
+  var body = ctx.body;
+  if (body === null || body === undefined) return;
+
+  var length = ctx.length;
+  // 流不会被读取，提前释放
+  if (typeof body.pipe === 'function' && typeof body.destroy === 'function') body.destroy();
+
+  ctx.body = '';
+  if (length === undefined) {
+    ctx.remove('Content-Length');
+  } else {
+    ctx.length = length;
+  }
+}
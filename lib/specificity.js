@@ -0,0 +1,104 @@
+var types = require('./types');
+
+module.exports = specificity;
+
+// ranks of path segments, from most to least specific: a path ending
+// is more specific than a wildcard, which may match nothing
+var STATIC = 4;
+var PATTERN = 3;
+var PARAM = 2;
+var END = 1;
+var WILDCARD = 0;
+
+var ranks = new WeakMap();
+
+/**
+ * Sort `layers` matching the same request from most to least specific route,
+ * comparing their paths segment by segment: static segments beat parameters
+ * with a custom pattern or type, which beat plain parameters, which beat
+ * wildcards (optional, repeated or unnamed parameters and regular
+ * expressions). Routes equally specific keep their registration order.
+ *
+ * Layers without methods, added by `router.use()`, stay where they are and
+ * only the routes between them are reordered.
+ *
+ * @param {Array.<Layer>} layers
+ * @returns {Array.<Layer>}
+ * @private
+ */
+
+function specificity(layers) {
+  var routes = layers.filter(function (layer) {
+    return layer.methods.length;
+  });
+
+  var sorted = routes.map(function (layer, i) {
+    return { layer: layer, index: i };
+  }).sort(function (a, b) {
+    return specificity.compare(a.layer, b.layer) || a.index - b.index;
+  });
+
+  var next = 0;
+
+  return layers.map(function (layer) {
+    return layer.methods.length ? sorted[next++].layer : layer;
+  });
+}
+
+/**
+ * Compare routes `a` and `b`, negative when `a` is more specific.
+ *
+ * @param {Layer} a
+ * @param {Layer} b
+ * @returns {Number}
+ * @private
+ */
+
+specificity.compare = function (a, b) {
+  var x = rank(a);
+  var y = rank(b);
+
+  for (var i = 0; i < Math.max(x.length, y.length); i++) {
+    var diff = (i < y.length ? y[i] : END) - (i < x.length ? x[i] : END);
+    if (diff) return diff;
+  }
+
+  return 0;
+};
+
+/**
+ * Returns the ranks of the segments of the path of `layer`, remembered
+ * until the path changes with a prefix.
+ *
+ * @param {Layer} layer
+ * @returns {Array.<Number>}
+ * @private
+ */
+
+function rank(layer) {
+  var cached = ranks.get(layer);
+  if (cached && cached.path === layer.path) return cached.ranks;
+
+  var result = typeof layer.path === 'string' ? segments(layer.path) : [WILDCARD];
+  ranks.set(layer, { path: layer.path, ranks: result });
+
+  return result;
+}
+
+function segments(path) {
+  var result = [];
+
+  types.parse(path).forEach(function (token) {
+    if (typeof token === 'string') {
+      token.split('/').forEach(function (literal) {
+        if (literal) result.push(STATIC);
+      });
+    } else if (token.optional || token.repeat || token.asterisk || typeof token.name === 'number') {
+      result.push(WILDCARD);
+    } else {
+      result.push(token.pattern === types.DEFAULT_PATTERN ? PARAM : PATTERN);
+    }
+  });
+
+  return result;
+}
@@ -0,0 +1,206 @@
+var methods = require('methods');
+
+module.exports = table;
+table.toRows = toRows;
+
+// row keys describing the wiring rather than route options
+var WIRING = ['method', 'path', 'handler', 'middleware'];
+
+/**
+ * Register the routes described by the rows of `rows` on `router`,
+ * resolving handler and middleware names in `options.handlers` and
+ * `options.middleware`.
+ *
+ * @param {Router} router
+ * @param {Array.<Object>} rows
+ * @param {Object=} options see `Router.fromTable()`
+ * @returns {Router}
+ * @private
+ */
+
+function table(router, rows, options) {
+  options = options || {};
+
+  rows.forEach(function (row, i) {
+    var where = 'Route table row ' + i + ' (' + [].concat(row.method || 'all').join(', ').toUpperCase()
+      + ' ' + row.path + ')';
+    if (!row.path) throw new Error(where + ': `path` is required');
+    if (!row.handler) throw new Error(where + ': `handler` is required');
+
+    var middleware = [].concat(row.middleware || []).map(function (ref) {
+      return resolve(options.middleware, ref, where + ': unknown middleware');
+    }).concat(resolve(options.handlers, row.handler, where + ': unknown handler'));
+
+    var opts = {};
+    Object.keys(row).forEach(function (key) {
+      if (!~WIRING.indexOf(key)) opts[key] = row[key];
+    });
+
+    router.register(row.path, verbs(row.method), middleware, opts);
+  });
+
+  return router;
+}
+
+/**
+ * Returns the routes of `router` as rows of a route table, naming handlers
+ * and middleware after their key in `options.handlers` and
+ * `options.middleware`, or after the function.
+ *
+ * @param {Router} router
+ * @param {Object=} options see `Router#toTable()`
+ * @returns {Array.<Object>}
+ * @private
+ */
+
+function toRows(router, options) {
+  options = options || {};
+
+  var handlers = names(options.handlers);
+  var middleware = names(options.middleware);
+
+  return router.stack.filter(function (layer) {
+    return layer.methods.length;
+  }).map(function (layer) {
+    var stack = layer.stack;
+    var handler = stack[stack.length - 1];
+    var methods = layer.methods.filter(function (method) {
+      // HEAD is implied by GET
+      return method !== 'HEAD' || !~layer.methods.indexOf('GET');
+    });
+
+    var row = {
+      method: all(layer.methods) ? 'all' : methods.length === 1 ? methods[0] : methods,
+      path: unprefixed(router, layer.path),
+      handler: nameOf(handler, handlers),
+      middleware: stack.slice(0, -1).map(function (fn) {
+        return nameOf(fn, middleware);
+      })
+    };
+
+    if (layer.name) row.name = layer.name;
+    ['host', 'version', 'consumes', 'produces', 'meta', 'validate', 'cors'].forEach(function (key) {
+      if (layer.opts[key] !== undefined) row[key] = layer.opts[key];
+    });
+
+    return row;
+  });
+}
+
+/**
+ * Returns `path` without the prefix of `router`, which registering it
+ * again adds.
+ *
+ * @param {Router} router
+ * @param {String|RegExp} path
+ * @returns {String|RegExp}
+ * @private
+ */
+
+function unprefixed(router, path) {
+  var prefix = router.opts.prefix;
+  return prefix && typeof path === 'string' && path.indexOf(prefix) === 0 ? path.slice(prefix.length) : path;
+}
+
+/**
+ * Returns the methods to register a row for: the given method or methods,
+ * or every method for `'all'` and rows without one.
+ *
+ * @param {String|Array.<String>=} method
+ * @returns {Array.<String>}
+ * @private
+ */
+
+function verbs(method) {
+  if (!method || method === 'all' || method === '*') return methods;
+  return [].concat(method);
+}
+
+/**
+ * Returns whether route `layerMethods` are every method, as registered by
+ * `router.all()`.
+ *
+ * @param {Array.<String>} layerMethods
+ * @returns {Boolean}
+ * @private
+ */
+
+function all(layerMethods) {
+  return methods.every(function (method) {
+    return ~layerMethods.indexOf(method.toUpperCase());
+  });
+}
+
+/**
+ * Returns `ref` if it is a function, or the function named `ref` in
+ * `registry`, throwing `message` when there is none.
+ *
+ * @param {Object=} registry
+ * @param {String|Function} ref
+ * @param {String} message
+ * @returns {Function}
+ * @private
+ */
+
+function resolve(registry, ref, message) {
+  var fn = typeof ref === 'function' ? ref : lookup(registry, ref);
+  if (typeof fn !== 'function') throw new Error(message + ' `' + ref + '`');
+  return fn;
+}
+
+/**
+ * Returns the value at the dotted `name` in `registry`, like `users.show`.
+ *
+ * @param {Object=} registry
+ * @param {String} name
+ * @returns {*}
+ * @private
+ */
+
+function lookup(registry, name) {
+  if (!registry || typeof name !== 'string') return undefined;
+  if (Object.prototype.hasOwnProperty.call(registry, name)) return registry[name];
+
+  return name.split('.').reduce(function (value, key) {
+    return value && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+  }, registry);
+}
+
+/**
+ * Returns the functions of `registry` with their dotted names.
+ *
+ * @param {Object=} registry
+ * @param {String=} base
+ * @param {Array.<Object>=} found
+ * @returns {Array.<Object>}
+ * @private
+ */
+
+function names(registry, base, found) {
+  found = found || [];
+
+  Object.keys(registry || {}).forEach(function (key) {
+    var value = registry[key];
+    var name = base ? base + '.' + key : key;
+    if (typeof value === 'function') found.push({ name: name, fn: value });
+    else if (value && typeof value === 'object') names(value, name, found);
+  });
+
+  return found;
+}
+
+/**
+ * Returns the name of `fn` in `registered`, or the name of the function.
+ *
+ * @param {Function} fn
+ * @param {Array.<Object>} registered
+ * @returns {String|null}
+ * @private
+ */
+
+function nameOf(fn, registered) {
+  for (var i = 0; i < registered.length; i++) {
+    if (registered[i].fn === fn) return registered[i].name;
+  }
+  return fn && fn.name || null;
+}
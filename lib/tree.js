@@ -0,0 +1,124 @@
+var types = require('./types');
+
+module.exports = Tree;
+
+/**
+ * Initialize a prefix tree indexing `layers` by the static segments at the
+ * start of their paths.
+ *
+ * The tree only narrows down which layers can possibly match a path, it
+ * never decides a match on its own: `Tree#lookup()` returns candidates which
+ * still have to be tested with `Layer#match()`.
+ *
+ * `tree.sensitive` tells whether any layer may match a path differently
+ * from the same path in another case: case sensitive layers, and layers with
+ * params whose type has a `test`.
+ *
+ * @param {Array.<Layer>} layers
+ * @returns {Tree}
+ * @private
+ */
+
+function Tree(layers) {
+  this.layers = layers.slice();
+  this.root = createNode();
+  this.sensitive = false;
+
+  this.layers.forEach(function (layer, i) {
+    this.insert(layer, i);
+  }, this);
+};
+
+/**
+ * Add layer at stack position `index` to the tree.
+ *
+ * @param {Layer} layer
+ * @param {Number} index
+ * @returns {Tree}
+ * @private
+ */
+
+Tree.prototype.insert = function (layer, index) {
+  var sensitive = !!(layer.opts && layer.opts.sensitive);
+  var node = this.root;
+
+  if (sensitive || (layer.paramNames || []).some(tested)) this.sensitive = true;
+
+  staticSegments(layer.path).forEach(function (segment) {
+    var edges = sensitive ? node.exact : node.folded;
+    var key = sensitive ? segment : segment.toUpperCase();
+    node = edges[key] || (edges[key] = createNode());
+  });
+
+  node.layers.push(index);
+
+  return this;
+};
+
+/**
+ * Returns stack positions of the layers which may match `path`, in
+ * registration order.
+ *
+ * @param {String} path
+ * @returns {Array.<Number>}
+ * @private
+ */
+
+Tree.prototype.lookup = function (path) {
+  var found = [];
+
+  collect(this.root, path.split('/').filter(Boolean), 0, found);
+
+  return found.sort(function (a, b) {
+    return a - b;
+  });
+};
+
+function tested(token) {
+  var type = token.type && types.get(token.type);
+  return !!(type && type.test);
+}
+
+function createNode() {
+  return {
+    exact: Object.create(null),
+    folded: Object.create(null),
+    layers: []
+  };
+}
+
+function collect(node, segments, i, found) {
+  found.push.apply(found, node.layers);
+
+  if (i === segments.length) return;
+
+  var segment = segments[i];
+  var exact = node.exact[segment];
+  // path-to-regexp compares case-insensitively by upper-casing both sides
+  var folded = node.folded[segment.toUpperCase()];
+
+  if (exact) collect(exact, segments, i + 1, found);
+  if (folded) collect(folded, segments, i + 1, found);
+}
+
+/**
+ * Returns the complete path segments a request must start with to match
+ * `path`. Regular expressions and paths starting with a parameter have none.
+ *
+ * @param {String|RegExp} path
+ * @returns {Array.<String>}
+ * @private
+ */
+
+function staticSegments(path) {
+  if (typeof path !== 'string') return [];
+
+  var tokens = types.parse(path);
+  if (typeof tokens[0] !== 'string') return [];
+
+  var segments = tokens[0].split('/');
+  // "/files.:ext" or "/v(\d+)" only share part of the last segment
+  if (tokens[1] && tokens[1].prefix !== '/') segments.pop();
+
+  return segments.filter(Boolean);
+}
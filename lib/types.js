@@ -0,0 +1,150 @@
+var pathToRegExp = require('path-to-regexp');
+
+// `:name<type>` annotations, unless the colon is escaped
+var TYPED_PARAM = /(^|[^\\]):(\w+)<(\w+)>/g;
+
+/**
+ * path-to-regexp's pattern for parameters without a custom one.
+ *
+ * @private
+ */
+
+exports.DEFAULT_PATTERN = '[^\\/]+?';
+
+/**
+ * Built-in parameter types. Each type has a `pattern` a path segment must
+ * match, an optional `test` function the decoded segment must pass too, a
+ * `parse` function turning the decoded segment into the value put in
+ * `ctx.params`, an optional `format` function turning a value back into a
+ * segment, and a JSON `schema` used for documentation.
+ *
+ * @private
+ */
+
+var types = {
+  int: {
+    pattern: '-?\\d+',
+    parse: function (value) {
+      return parseInt(value, 10);
+    },
+    schema: { type: 'integer' }
+  },
+  number: {
+    pattern: '-?\\d+(?:\\.\\d+)?',
+    parse: Number,
+    schema: { type: 'number' }
+  },
+  uuid: {
+    pattern: '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}',
+    parse: String,
+    schema: { type: 'string', format: 'uuid' }
+  },
+  date: {
+    pattern: '\\d{4}-(?:0[1-9]|1[0-2])-(?:0[1-9]|[12]\\d|3[01])'
+      + '(?:T(?:[01]\\d|2[0-3]):[0-5]\\d(?::[0-5]\\d(?:\\.\\d+)?)?(?:Z|[+-](?:[01]\\d|2[0-3]):?[0-5]\\d)?)?',
+    // the pattern allows days the month does not have, like `2020-02-31`
+    test: function (value) {
+      var year = +value.slice(0, 4);
+      var month = +value.slice(5, 7);
+      var day = +value.slice(8, 10);
+      var date = new Date(0);
+      // setUTCFullYear keeps years below 100, which Date.UTC maps to 19xx
+      date.setUTCFullYear(year, month - 1, day);
+      return date.getUTCDate() === day;
+    },
+    parse: function (value) {
+      return new Date(value);
+    },
+    format: function (value) {
+      return value instanceof Date ? value.toISOString() : value;
+    },
+    schema: { type: 'string', format: 'date-time' }
+  }
+};
+
+/**
+ * Register parameter type `name`.
+ *
+ * @param {String} name
+ * @param {Object} type
+ * @param {String|RegExp} type.pattern pattern a path segment must match,
+ * without capturing groups
+ * @param {Function=} type.test whether the decoded segment is valid
+ * @param {Function=} type.parse turn the decoded segment into a value
+ * @param {Function=} type.format turn a value into a segment for URLs
+ * @param {Object=} type.schema JSON schema of the parameter
+ * @private
+ */
+
+exports.define = function (name, type) {
+  if (!/^\w+$/.test(name)) {
+    throw new Error('Param type name must be a word, not `' + name + '`');
+  }
+  if (!type || !type.pattern) {
+    throw new Error('Param type `' + name + '` needs a `pattern`');
+  }
+
+  types[name] = {
+    pattern: type.pattern instanceof RegExp ? type.pattern.source : type.pattern,
+    test: type.test,
+    parse: type.parse || String,
+    format: type.format,
+    schema: type.schema || { type: 'string' }
+  };
+};
+
+/**
+ * Returns the parameter type registered as `name`.
+ *
+ * @param {String} name
+ * @returns {Object|undefined}
+ * @private
+ */
+
+exports.get = function (name) {
+  return Object.prototype.hasOwnProperty.call(types, name) ? types[name] : undefined;
+};
+
+/**
+ * Parse `path` into path-to-regexp tokens, giving `:name<type>` parameters
+ * the pattern of their type and a `type` property naming it.
+ *
+ * @param {String} path
+ * @returns {Array}
+ * @private
+ */
+
+exports.parse = function (path) {
+  var annotated = {};
+  var tokens = pathToRegExp.parse(path.replace(TYPED_PARAM, function (match, before, name, type) {
+    if (!exports.get(type)) {
+      throw new Error('Unknown param type `' + type + '` in `' + path + '`');
+    }
+    annotated[name] = type;
+    return before + ':' + name;
+  }));
+
+  tokens.forEach(function (token) {
+    if (typeof token === 'string' || !annotated[token.name]) return;
+    token.type = annotated[token.name];
+    token.pattern = types[token.type].pattern;
+  });
+
+  return tokens;
+};
+
+/**
+ * Compile `path` into a regular expression like path-to-regexp does, with
+ * support for typed parameters.
+ *
+ * @param {String|RegExp} path
+ * @param {Array} keys filled with the parameter tokens
+ * @param {Object=} opts path-to-regexp options
+ * @returns {RegExp}
+ * @private
+ */
+
+exports.toRegExp = function (path, keys, opts) {
+  if (typeof path !== 'string') return pathToRegExp(path, keys, opts);
+  return pathToRegExp.tokensToRegExp(exports.parse(path), keys, opts);
+};
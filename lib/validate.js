@@ -0,0 +1,180 @@
+var problem = require('./problem');
+
+module.exports = validate;
+
+// where each part of the request is read from, and whether its values are
+// strings that may stand for numbers and booleans
+var SOURCES = {
+  params: { read: function (ctx) { return ctx.params; }, strings: true },
+  query: { read: function (ctx) { return ctx.query; }, strings: true },
+  headers: { read: function (ctx) { return ctx.headers; }, strings: true },
+  body: { read: function (ctx) { return ctx.request.body; }, strings: false }
+};
+
+/**
+ * Returns middleware validating the request against `schemas` before the
+ * route middleware runs. Requests with invalid input get a `400` listing
+ * every failing field and the route middleware is skipped.
+ *
+ * Schemas are a subset of [JSON Schema](https://json-schema.org): `type`,
+ * `enum`, `properties`, `required`, `additionalProperties`, `items`,
+ * `minItems`, `maxItems`, `minLength`, `maxLength`, `pattern`, `minimum`
+ * and `maximum`. Values of params, query and headers are strings, so
+ * `"42"` is a valid `integer` and `"true"` a valid `boolean` there.
+ *
+ * @param {Object} schemas
+ * @param {Object=} schemas.params schema for `ctx.params`
+ * @param {Object=} schemas.query schema for `ctx.query`
+ * @param {Object=} schemas.headers schema for `ctx.headers`, with lowercase
+ * header names
+ * @param {Object=} schemas.body schema for `ctx.request.body`
+ * @returns {Function}
+ * @private
+ */
+
+function validate(schemas) {
+  return function validateRequest(ctx, next) {
+    var errors = validate.errors(schemas, ctx);
+
+    if (errors.length) return problem.respond(ctx, 400, 'Invalid request', { errors: errors });
+
+    return next();
+  };
+}
+
+/**
+ * Returns every failure of the request in `ctx` against `schemas` as
+ * `{ in, path, message }` objects, `in` naming the part of the request.
+ *
+ * @param {Object} schemas
+ * @param {Object} ctx
+ * @returns {Array.<Object>}
+ * @private
+ */
+
+validate.errors = function (schemas, ctx) {
+  var errors = [];
+
+  Object.keys(SOURCES).forEach(function (source) {
+    if (!schemas[source]) return;
+
+    var value = SOURCES[source].read(ctx);
+    check(schemas[source], value === undefined ? {} : value, '', SOURCES[source].strings, function (path, message) {
+      errors.push({ in: source, path: path, message: message });
+    });
+  });
+
+  return errors;
+};
+
+function check(schema, value, path, strings, fail) {
+  if (strings) value = fromString(schema, value);
+
+  if (schema.type && ![].concat(schema.type).some(function (type) {
+    return is(type, value);
+  })) {
+    return fail(path, 'must be ' + [].concat(schema.type).join(' or '));
+  }
+
+  if (schema.enum && !schema.enum.some(function (allowed) { return allowed === value; })) {
+    fail(path, 'must be one of ' + schema.enum.map(JSON.stringify).join(', '));
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(path, 'must have at least ' + schema.minLength + ' characters');
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(path, 'must have at most ' + schema.maxLength + ' characters');
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      fail(path, 'must match ' + schema.pattern);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(path, 'must be at least ' + schema.minimum);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(path, 'must be at most ' + schema.maximum);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(path, 'must have at least ' + schema.minItems + ' items');
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(path, 'must have at most ' + schema.maxItems + ' items');
+    }
+    if (schema.items) {
+      value.forEach(function (item, i) {
+        check(schema.items, item, join(path, i), strings, fail);
+      });
+    }
+  }
+
+  if (is('object', value)) {
+    var properties = schema.properties || {};
+
+    (schema.required || []).forEach(function (key) {
+      if (value[key] === undefined) fail(join(path, key), 'is required');
+    });
+
+    Object.keys(value).forEach(function (key) {
+      if (value[key] === undefined) return;
+
+      if (properties[key]) {
+        check(properties[key], value[key], join(path, key), strings, fail);
+      } else if (schema.additionalProperties === false) {
+        fail(join(path, key), 'is not allowed');
+      } else if (is('object', schema.additionalProperties)) {
+        check(schema.additionalProperties, value[key], join(path, key), strings, fail);
+      }
+    });
+  }
+}
+
+/**
+ * Returns `value` read as the type `schema` asks for when it is a string
+ * standing for a number, integer or boolean, or a single value of an array.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @returns {*}
+ * @private
+ */
+
+function fromString(schema, value) {
+  var types = [].concat(schema.type || []);
+
+  if (typeof value !== 'string' || ~types.indexOf('string')) return value;
+
+  if ((~types.indexOf('number') || ~types.indexOf('integer')) && value.trim() !== '' && isFinite(value)) {
+    return Number(value);
+  }
+  if (~types.indexOf('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  if (~types.indexOf('array')) return [value];
+
+  return value;
+}
+
+function is(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && isFinite(value);
+    case 'integer': return typeof value === 'number' && isFinite(value) && Math.floor(value) === value;
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return false;
+  }
+}
+
+function join(path, key) {
+  return path ? path + '.' + key : String(key);
+}
@@ -0,0 +1,31 @@
+/**
+ * Cache tests
+ */
+
+var Cache = require('../../lib/cache')
+  , should = require('should');
+
+describe('Cache', function() {
+  it('returns cached values', function() {
+    var cache = new Cache(2);
+    cache.set('a', 1);
+    cache.get('a').should.equal(1);
+    should.not.exist(cache.get('b'));
+  });
+
+  it('evicts the least recently used entry', function() {
+    var cache = new Cache(2);
+    cache.set('a', 1).set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    cache.get('a').should.equal(1);
+    should.not.exist(cache.get('b'));
+    cache.get('c').should.equal(3);
+  });
+
+  it('clears all entries', function() {
+    var cache = new Cache(2);
+    cache.set('a', 1).clear();
+    should.not.exist(cache.get('a'));
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * CORS tests
+ */
+
+var Koa = require('koa')
+  , http = require('http')
+  , request = require('supertest')
+  , Router = require('../../lib/router')
+  , should = require('should');
+
+describe('Router#cors()', function() {
+  function users() {
+    var router = new Router();
+    router.get('/users', function (ctx) {
+      ctx.body = [];
+    });
+    router.post('/users', { cors: { credentials: true } }, function (ctx) {
+      ctx.status = 201;
+    });
+    router.get('/private', { cors: false }, function (ctx) {
+      ctx.body = 'secret';
+    });
+    return router;
+  }
+
+  it('answers preflight requests with the methods of the path', function(done) {
+    var router = users();
+    var app = new Koa();
+    app.use(router.cors({ maxAge: 600 }));
+    app.use(router.routes());
+    app.use(router.allowedMethods());
+    var server = http.createServer(app.callback());
+    request(server)
+      .options('/users')
+      .set('Origin', 'https://example.com')
+      .set('Access-Control-Request-Method', 'POST')
+      .set('Access-Control-Request-Headers', 'Content-Type')
+      .expect(204)
+      .expect('Access-Control-Allow-Origin', 'https://example.com')
+      .expect('Access-Control-Allow-Credentials', 'true')
+      .expect('Access-Control-Allow-Methods', 'HEAD, GET, POST')
+      .expect('Access-Control-Allow-Headers', 'Content-Type')
+      .expect('Access-Control-Max-Age', '600')
+      .end(done);
+  });
+
+  it('adds CORS headers to requests from allowed origins', function(done) {
+    var router = users();
+    var app = new Koa();
+    app.use(router.cors({ exposeHeaders: ['Link', 'X-Total'] }));
+    app.use(router.routes());
+    app.use(router.allowedMethods());
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/users')
+      .set('Origin', 'https://example.com')
+      .expect(200)
+      .expect('Access-Control-Allow-Origin', '*')
+      .expect('Access-Control-Expose-Headers', 'Link, X-Total')
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.header.should.not.have.property('access-control-allow-credentials');
+        res.header.should.not.have.property('access-control-allow-methods');
+        done();
+      });
+  });
+
+  it('checks origins against the allow-list', function(done) {
+    var router = users();
+    var app = new Koa();
+    app.use(router.cors({ origin: ['https://example.com', /\.example\.org$/] }));
+    app.use(router.routes());
+    app.use(router.allowedMethods());
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/users')
+      .set('Origin', 'https://api.example.org')
+      .expect('Access-Control-Allow-Origin', 'https://api.example.org')
+      .expect('Vary', 'Origin')
+      .end(function (err) {
+        if (err) return done(err);
+        request(server)
+          .get('/users')
+          .set('Origin', 'https://evil.com')
+          .expect(200)
+          .expect('Vary', 'Origin')
+          .end(function (err, res) {
+            if (err) return done(err);
+            res.header.should.not.have.property('access-control-allow-origin');
+            request(server)
+              .get('/users')
+              .expect(200)
+              .expect('Vary', 'Origin')
+              .end(done);
+          });
+      });
+  });
+
+  it('accepts an origin function', function(done) {
+    var router = users();
+    var app = new Koa();
+    app.use(router.cors({
+      origin: function (origin, ctx) {
+        return origin.indexOf('https://') === 0 && ctx.path === '/users';
+      }
+    }));
+    app.use(router.routes());
+    app.use(router.allowedMethods());
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/users')
+      .set('Origin', 'https://example.com')
+      .expect('Access-Control-Allow-Origin', 'https://example.com')
+      .end(done);
+  });
+
+  it('leaves out routes with `cors: false`', function(done) {
+    var router = users();
+    var app = new Koa();
+    app.use(router.cors());
+    app.use(router.routes());
+    app.use(router.allowedMethods());
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/private')
+      .set('Origin', 'https://example.com')
+      .expect(200, 'secret')
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.header.should.not.have.property('access-control-allow-origin');
+        done();
+      });
+  });
+
+  it('leaves requests without origin or matching route alone', function(done) {
+    var router = users();
+    var app = new Koa();
+    app.use(router.cors());
+    app.use(router.routes());
+    app.use(router.allowedMethods());
+    var server = http.createServer(app.callback());
+    request(server)
+      .options('/users')
+      .set('Access-Control-Request-Method', 'GET')
+      .expect(200)
+      .expect('Allow', 'HEAD, GET, POST')
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.header.should.not.have.property('access-control-allow-origin');
+        request(server)
+          .options('/missing')
+          .set('Origin', 'https://example.com')
+          .set('Access-Control-Request-Method', 'GET')
+          .expect(404)
+          .end(done);
+      });
+  });
+
+  it('keeps CORS headers on errors', function(done) {
+    var router = new Router();
+    router.get('/fail', function (ctx) {
+      ctx.throw(400, 'bad');
+    });
+    var app = new Koa();
+    app.use(router.cors());
+    app.use(router.routes());
+    app.use(router.allowedMethods());
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/fail')
+      .set('Origin', 'https://example.com')
+      .expect(400)
+      .expect('Access-Control-Allow-Origin', '*')
+      .end(done);
+  });
+
+  it('includes routes of nested routers', function(done) {
+    var router = new Router();
+    router.use('/api', users().routes());
+    var app = new Koa();
+    app.use(router.cors());
+    app.use(router.routes());
+    app.use(router.allowedMethods());
+    var server = http.createServer(app.callback());
+    request(server)
+      .options('/api/users')
+      .set('Origin', 'https://example.com')
+      .set('Access-Control-Request-Method', 'GET')
+      .expect(204)
+      .expect('Access-Control-Allow-Methods', 'HEAD, GET, POST')
+      .end(done);
+  });
+});
@@ -163,6 +163,107 @@ describe('Layer', function() {
     });
   });
 
+  describe('typed params', function() {
+    it('only matches segments of the param type', function(done) {
+      var router = new Router();
+      router.get('/users/:id<int>', function (ctx) {
+        ctx.body = { id: ctx.params.id };
+      });
+      router.get('/users/:name', function (ctx) {
+        ctx.body = ctx.body || { name: ctx.params.name };
+      });
+      var app = new Koa();
+      app.use(router.routes());
+      var server = http.createServer(app.callback());
+      request(server)
+      .get('/users/me')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return done(err);
+        res.body.should.eql({ name: 'me' });
+        request(server)
+        .get('/users/42')
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.should.eql({ id: 42 });
+          done();
+        });
+      });
+    });
+
+    it('coerces params to their type', function(done) {
+      var router = new Router();
+      var uuid = '123e4567-e89b-12d3-a456-426614174000';
+      router.get('/at/:ts<date>/:id<uuid>/:ratio<number>', function (ctx) {
+        ctx.params.ts.should.be.instanceOf(Date);
+        ctx.body = {
+          ts: ctx.params.ts.toISOString(),
+          id: ctx.params.id,
+          ratio: ctx.params.ratio
+        };
+      });
+      var app = new Koa();
+      app.use(router.routes());
+      var server = http.createServer(app.callback());
+      request(server)
+      .get('/at/2018-07-02T10:00:00Z/' + uuid + '/0.5')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return done(err);
+        res.body.should.eql({ ts: '2018-07-02T10:00:00.000Z', id: uuid, ratio: 0.5 });
+        request(server)
+        .get('/at/2018-13-02/' + uuid + '/0.5')
+        .expect(404)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+          .get('/at/2019-02-29/' + uuid + '/0.5')
+          .expect(404)
+          .end(done);
+        });
+      });
+    });
+
+    it('keeps types when prefixed', function() {
+      var route = new Layer('/posts/:post<int>', ['get'], function () {});
+      route.setPrefix('/users/:user<uuid>');
+      route.paramNames.map(function (token) { return token.type; })
+        .should.eql(['uuid', 'int']);
+      route.match('/users/nope/posts/1').should.be.false;
+    });
+
+    it('only matches dates that exist', function() {
+      var route = new Layer('/at/:ts<date>', ['get'], function () {});
+      route.match('/at/2020-02-29').should.be.true;
+      route.match('/at/2020-02-31').should.be.false;
+      route.match('/at/2021-04-31T10:00:00Z').should.be.false;
+    });
+
+    it('generates URLs from typed values', function() {
+      var route = new Layer('/at/:ts<date>/:id<int>', ['get'], function () {});
+      route.url({ ts: new Date(Date.UTC(2018, 6, 2)), id: 3 })
+        .should.equal('/at/2018-07-02T00%3A00%3A00.000Z/3');
+      (function () {
+        route.url({ ts: 'yesterday', id: 3 });
+      }).should.throw('Expected "ts" to be of type `date`, but received `"yesterday"`');
+      (function () {
+        route.url({ ts: '2020-02-31', id: 3 });
+      }).should.throw('Expected "ts" to be of type `date`, but received `"2020-02-31"`');
+      (function () {
+        route.url({ ts: new Date('x'), id: 3 });
+      }).should.throw('Expected "ts" to be a valid date, but received `Invalid Date`', { code: 'ERR_INVALID_PARAM' });
+    });
+
+    it('documents param types', function() {
+      var router = new Router();
+      router.get('/users/:id<int>', function () {});
+      router.toOpenAPI().paths['/users/{id}'].get.parameters[0].schema
+        .should.eql({ type: 'integer' });
+      router.getRoutes()[0].params[0].should.have.property('type', 'int');
+    });
+  });
+
   describe('Layer#param()', function() {
     it('composes middleware for param fn', function(done) {
       var app = new Koa();
@@ -232,5 +333,90 @@ describe('Layer', function() {
       var url = route.url({ category: 'programming', title: 'how to node' });
       url.should.equal('/programming/how%20to%20node');
     });
+
+    it('throws for missing params', function() {
+      var route = new Layer('/:category/:title', ['get'], [function () {}], { name: 'books' });
+      (function () {
+        route.url({ category: 'programming' });
+      }).should.throw('Missing param "title" for route `books`', { code: 'ERR_MISSING_PARAM' });
+      route.url({ category: 'programming', title: 'node' }).should.equal('/programming/node');
+    });
+
+    it('leaves out missing optional params', function() {
+      var route = new Layer('/books/:category?', ['get'], [function () {}]);
+      route.url({}).should.equal('/books');
+      route.url({ category: 'node' }).should.equal('/books/node');
+    });
+
+    it('throws for values not matching the param pattern', function() {
+      var route = new Layer('/books/:id(\\d+)', ['get'], [function () {}]);
+      route.url({ id: 12 }).should.equal('/books/12');
+      (function () {
+        route.url({ id: 'twelve' });
+      }).should.throw('Expected "id" to match `\\d+`, but received `"twelve"`', { code: 'ERR_INVALID_PARAM' });
+    });
+
+    it('joins arrays for repeated params', function() {
+      var route = new Layer('/files/:path+', ['get'], [function () {}]);
+      route.url({ path: ['docs', 'read me.md'] }).should.equal('/files/docs/read%20me.md');
+      (function () {
+        route.url({ path: [] });
+      }).should.throw({ code: 'ERR_MISSING_PARAM' });
+      (function () {
+        new Layer('/files/:name', ['get'], [function () {}]).url({ name: ['a', 'b'] });
+      }).should.throw('Expected "name" to be a single value, but received `["a","b"]`');
+    });
+
+    it('appends query and hash', function() {
+      var route = new Layer('/users/:id', ['get'], [function () {}]);
+      route.url({ id: 3 }, { query: { tab: 'posts' }, hash: 'latest' })
+        .should.equal('/users/3?tab=posts#latest');
+      route.url(3, { hash: 'top' }).should.equal('/users/3#top');
+    });
+
+    it('compiles the path once until it changes', function() {
+      var route = new Layer('/users/:id', ['get'], [function () {}]);
+      route.url({ id: 1 });
+      var compiled = route._url;
+      route.url({ id: 2 }).should.equal('/users/2');
+      route._url.should.equal(compiled);
+      route.setPrefix('/api');
+      route.url({ id: 2 }).should.equal('/api/users/2');
+      route._url.should.not.equal(compiled);
+    });
+  });
+
+  describe('Layer#describe()', function() {
+    it('describes the route as a plain object', function() {
+      var route = new Layer('/:category/:rest*', ['get'], [function list() {}, function () {}], {
+        name: 'books',
+        sensitive: true
+      });
+      route.describe().should.eql({
+        name: 'books',
+        methods: ['HEAD', 'GET'],
+        path: '/:category/:rest*',
+        host: null,
+        versions: [],
+        consumes: [],
+        produces: [],
+        params: [
+          { name: 'category', type: null, modifier: '', optional: false, repeat: false },
+          { name: 'rest', type: null, modifier: '*', optional: true, repeat: true }
+        ],
+        middleware: { count: 2, names: ['list', '<anonymous>'] },
+        sensitive: true,
+        strict: false,
+        end: true
+      });
+    });
+
+    it('describes regexp paths', function() {
+      var route = new Layer(/^\/books\/(\d+)$/, ['get'], function () {});
+      var description = route.describe();
+      description.path.should.equal('/^\\/books\\/(\\d+)$/');
+      description.params.should.have.length(1);
+      description.params[0].should.have.property('name', 0);
+    });
   });
 });
@@ -0,0 +1,164 @@
+/**
+ * Route conflict tests
+ */
+
+var Router = require('../../lib/router')
+  , should = require('should');
+
+describe('Router#lint()', function() {
+  function noop() {}
+
+  function types(router) {
+    return router.lint().map(function (problem) {
+      return problem.type;
+    });
+  }
+
+  it('reports exact duplicates', function() {
+    var router = new Router();
+    router.get('a', '/users/:id', noop);
+    router.get('b', '/users/:userId', noop);
+
+    var problems = router.lint();
+    problems.should.have.length(1);
+    problems[0].should.eql({
+      type: 'duplicate',
+      methods: ['HEAD', 'GET'],
+      route: { name: 'b', methods: ['HEAD', 'GET'], path: '/users/:userId' },
+      conflictsWith: { name: 'a', methods: ['HEAD', 'GET'], path: '/users/:id' },
+      message: 'HEAD, GET /users/:userId ("b") duplicates HEAD, GET /users/:id ("a")'
+    });
+  });
+
+  it('reports routes shadowed by a route registered before', function() {
+    var router = new Router();
+    router.get('user', '/users/:id', noop);
+    router.get('me', '/users/me', noop);
+
+    var problems = router.lint();
+    problems.should.have.length(1);
+    problems[0].type.should.equal('unreachable');
+    problems[0].message.should.equal(
+      'HEAD, GET /users/me ("me") is unreachable, HEAD, GET /users/:id ("user") registered before matches all of its paths'
+    );
+  });
+
+  it('reports ambiguous overlaps', function() {
+    var router = new Router();
+    router.get('/:a/x', noop);
+    router.get('/x/:b', noop);
+    types(router).should.eql(['ambiguous']);
+  });
+
+  it('accepts specific routes registered first', function() {
+    var router = new Router();
+    router.get('/users/me', noop);
+    router.get('/users/:id', noop);
+    router.get('/users/:id/posts', noop);
+    router.post('/users/:id', noop);
+    router.use(noop);
+    router.lint().should.eql([]);
+  });
+
+  it('compares static paths with regular expression routes', function() {
+    var router = new Router();
+    router.get(/^\/files\/.*/, noop);
+    router.get('/files/readme', noop);
+    types(router).should.eql(['unreachable']);
+  });
+
+  it('only compares routes with shared methods', function() {
+    var router = new Router();
+    router.get('/users/:id', noop);
+    router.put('/users/:id', noop);
+    router.all('/users/me', noop);
+
+    var problems = router.lint();
+    problems.should.have.length(2);
+    problems[0].methods.should.eql(['HEAD', 'GET']);
+    problems[1].methods.should.eql(['PUT']);
+  });
+
+  it('respects custom param patterns', function() {
+    var router = new Router();
+    router.get('/users/:id(\\d+)', noop);
+    router.get('/users/me', noop);
+    router.get('/posts/:id<int>', noop);
+    router.get('/posts/:slug', noop);
+    router.get('/tags/:name', noop);
+    router.get('/tags/:id<int>', noop);
+    types(router).should.eql(['unreachable']);
+  });
+
+  it('ignores routes for other hosts, versions or content types', function() {
+    var router = new Router();
+    router.get('/users/:id', { host: 'api.example.com' }, noop);
+    router.get('/users/:id', { host: 'admin.example.com' }, noop);
+    router.get('/posts/:id', { version: '1' }, noop);
+    router.get('/posts/:id', { version: '2' }, noop);
+    router.post('/posts', { consumes: 'json' }, noop);
+    router.post('/posts', { consumes: 'multipart' }, noop);
+    router.lint().should.eql([]);
+  });
+
+  it('includes routes of nested routers', function() {
+    var router = new Router();
+    var users = new Router();
+    router.get('/users/:id', noop);
+    users.get('/me', noop);
+    router.use('/users', users.routes());
+    types(router).should.eql(['unreachable']);
+  });
+
+  describe('with opts.lint', function() {
+    var emitWarning = process.emitWarning;
+    var warnings;
+
+    beforeEach(function () {
+      warnings = [];
+      process.emitWarning = function (message, type) {
+        warnings.push(type + ': ' + message);
+      };
+    });
+
+    afterEach(function () {
+      process.emitWarning = emitWarning;
+    });
+
+    it('warns when a conflicting route is registered', function() {
+      var router = new Router({ lint: 'warn' });
+      router.get('/users/:id', noop);
+      router.get('/users/me', noop);
+      router.stack.should.have.length(2);
+      warnings.should.eql([
+        'RouteConflictWarning: HEAD, GET /users/me is unreachable, HEAD, GET /users/:id registered before matches all of its paths'
+      ]);
+    });
+
+    it('throws when a conflicting route is registered', function() {
+      var router = new Router({ lint: 'throw' });
+      router.get('/users/:id', noop);
+      (function () {
+        router.get('/users/:userId', noop);
+      }).should.throw('HEAD, GET /users/:userId duplicates HEAD, GET /users/:id');
+      router.stack.should.have.length(1);
+    });
+
+    it('checks routes of nested routers when they are mounted', function() {
+      var router = new Router({ lint: 'throw' });
+      var users = new Router();
+      router.get('/users/:id', noop);
+      users.get('/me', noop);
+      (function () {
+        router.use('/users', users.routes());
+      }).should.throw(/unreachable/);
+    });
+
+    it('does nothing without conflicts', function() {
+      var router = new Router({ lint: 'warn' });
+      router.get('/users/me', noop);
+      router.get('/users/:id', noop);
+      warnings.should.eql([]);
+    });
+  });
+});
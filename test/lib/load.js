@@ -0,0 +1,191 @@
+/**
+ * Param loader tests
+ */
+
+var Koa = require('koa')
+  , http = require('http')
+  , request = require('supertest')
+  , Router = require('../../lib/router')
+  , should = require('should');
+
+describe('Router#load()', function() {
+  var users = { 1: { id: 1, name: 'Alex' } };
+
+  function findUser(id) {
+    return Promise.resolve(users[id] || null);
+  }
+
+  it('puts the loaded entity in ctx.state', function(done) {
+    var router = new Router();
+    router
+      .load('id', findUser, { as: 'user' })
+      .get('/users/:id', function (ctx) {
+        ctx.body = ctx.state.user;
+      });
+
+    var app = new Koa();
+    app.use(router.routes());
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/users/1')
+      .expect(200, { id: 1, name: 'Alex' })
+      .end(done);
+  });
+
+  it('names the state property after the param by default', function(done) {
+    var router = new Router();
+    router
+      .load('user', function (id) {
+        return users[id];
+      })
+      .get('/users/:user', function (ctx) {
+        ctx.body = ctx.state.user;
+      });
+
+    var app = new Koa();
+    app.use(router.routes());
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/users/1')
+      .expect(200, { id: 1, name: 'Alex' })
+      .end(done);
+  });
+
+  it('responds with 404 when nothing is found', function(done) {
+    var router = new Router();
+    var called = false;
+    router
+      .load('id', findUser, { as: 'user' })
+      .get('/users/:id', function (ctx) {
+        called = true;
+      });
+
+    var app = new Koa();
+    app.use(router.routes());
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/users/2')
+      .expect(404, 'No user found for id "2"')
+      .end(function (err) {
+        if (err) return done(err);
+        called.should.equal(false);
+        done();
+      });
+  });
+
+  it('supports other statuses, handlers or continuing on not found', function(done) {
+    var router = new Router();
+    router
+      .load('gone', findUser, { notFound: 410 })
+      .load('handled', findUser, {
+        notFound: function (ctx) {
+          ctx.status = 404;
+          ctx.body = { error: 'missing' };
+        }
+      })
+      .load('optional', findUser, { notFound: false })
+      .get('/a/:gone', function () {})
+      .get('/b/:handled', function () {})
+      .get('/c/:optional', function (ctx) {
+        ctx.body = { user: ctx.state.optional };
+      });
+
+    var app = new Koa();
+    app.use(router.routes());
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/a/2')
+      .expect(410)
+      .end(function (err) {
+        if (err) return done(err);
+        request(server)
+          .get('/b/2')
+          .expect(404, { error: 'missing' })
+          .end(function (err) {
+            if (err) return done(err);
+            request(server)
+              .get('/c/2')
+              .expect(200, { user: null })
+              .end(done);
+          });
+      });
+  });
+
+  it('loads once per request across matched routes and routers', function(done) {
+    var router = new Router();
+    var nested = new Router();
+    var calls = 0;
+    function countedFind(id) {
+      calls++;
+      return findUser(id);
+    }
+    router.load('id', countedFind, { as: 'user' });
+    nested
+      .load('id', countedFind, { as: 'user' })
+      .use('/:id', function (ctx, next) {
+        return next();
+      })
+      .get('/:id', function (ctx) {
+        ctx.body = { name: ctx.state.user.name, calls: calls };
+      });
+    router.use('/users', nested.routes());
+
+    var app = new Koa();
+    app.use(router.routes());
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/users/1')
+      .expect(200, { name: 'Alex', calls: 1 })
+      .end(done);
+  });
+
+  it('passes loader errors on', function(done) {
+    var app = new Koa();
+    var router = new Router();
+    router
+      .load('id', function () {
+        throw new Error('database down');
+      })
+      .get('/users/:id', function () {});
+
+    app.use(function (ctx, next) {
+      return next().catch(function (err) {
+        ctx.status = 503;
+        ctx.body = err.message;
+      });
+    });
+    app.use(router.routes());
+
+    request(http.createServer(app.callback()))
+      .get('/users/1')
+      .expect(503, 'database down')
+      .end(done);
+  });
+
+  it('loads only params that passed validation', function(done) {
+    var app = new Koa();
+    var router = new Router();
+    var loaded = [];
+    router
+      .load('id', function (id) {
+        loaded.push(id);
+        return findUser(id);
+      })
+      .get('/users/:id', {
+        validate: { params: { properties: { id: { type: 'integer' } } } }
+      }, function (ctx) {
+        ctx.body = ctx.state.id;
+      });
+    app.use(router.routes());
+
+    request(http.createServer(app.callback()))
+      .get('/users/abc')
+      .expect(400)
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.body.errors.should.eql([{ in: 'params', path: 'id', message: 'must be integer' }]);
+        loaded.should.eql([]);
+        done();
+      });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * OpenAPI tests
+ */
+
+var Router = require('../../lib/router')
+  , should = require('should');
+
+describe('Router#toOpenAPI()', function() {
+  function noop() {}
+
+  it('converts paths and parameters to OpenAPI templates', function() {
+    var router = new Router({ prefix: '/api' });
+    router.get('user', '/users/:id', noop);
+    router.get('/files/:path*', noop);
+    router.get('/posts/:id(\\d+)', noop);
+    var doc = router.toOpenAPI({ title: 'Test', version: '1.0.0' });
+    doc.should.have.property('openapi', '3.0.3');
+    doc.info.should.eql({ title: 'Test', version: '1.0.0' });
+    Object.keys(doc.paths).should.eql([
+      '/api/users/{id}',
+      '/api/files',
+      '/api/files/{path}',
+      '/api/posts/{id}'
+    ]);
+    doc.paths['/api/users/{id}'].should.have.keys('get');
+    doc.paths['/api/users/{id}'].get.should.eql({
+      operationId: 'user',
+      parameters: [
+        { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+      ],
+      responses: { default: { description: 'Response' } }
+    });
+    doc.paths['/api/files'].get.should.not.have.property('parameters');
+    doc.paths['/api/posts/{id}'].get.parameters[0].schema
+      .should.eql({ type: 'string', pattern: '^(?:\\d+)$' });
+  });
+
+  it('lists optional parameters with and without them', function() {
+    var router = new Router();
+    router.get('/users/:id?/:format?', noop);
+    Object.keys(router.toOpenAPI().paths).should.eql([
+      '/users',
+      '/users/{id}',
+      '/users/{format}',
+      '/users/{id}/{format}'
+    ]);
+  });
+
+  it('adds route metadata to operations', function() {
+    var router = new Router();
+    router.post('createUser', '/users', {
+      meta: {
+        summary: 'Create a user',
+        tags: ['users'],
+        requestBody: { type: 'object' },
+        responses: { 201: { type: 'object' } }
+      }
+    }, noop);
+    router.stack[0].stack.should.eql([noop]);
+    router.toOpenAPI().paths['/users'].post.should.eql({
+      operationId: 'createUser',
+      summary: 'Create a user',
+      tags: ['users'],
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: { type: 'object' } } }
+      },
+      responses: {
+        201: {
+          description: 'Created',
+          content: { 'application/json': { schema: { type: 'object' } } }
+        }
+      }
+    });
+  });
+
+  it('leaves out middleware, regexp paths and HEAD of GET routes', function() {
+    var router = new Router();
+    router.use(noop);
+    router.use('/users', noop);
+    router.get(/^\/regexp/, noop);
+    router.head('/ping', noop);
+    router.get('/users', noop);
+    var paths = router.toOpenAPI().paths;
+    paths.should.have.keys('/ping', '/users');
+    paths['/ping'].should.have.keys('head');
+    paths['/users'].should.have.keys('get');
+  });
+
+  it('names operations of multi-method routes after their method', function() {
+    var router = new Router();
+    router.all('users', '/users', noop);
+    router.get('/users', noop);
+    var item = router.toOpenAPI().paths['/users'];
+    item.should.have.keys('get', 'put', 'post', 'delete', 'options', 'patch', 'trace');
+    item.get.operationId.should.equal('users.get');
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Problem details tests
+ */
+
+var Koa = require('koa')
+  , http = require('http')
+  , request = require('supertest')
+  , Router = require('../../lib/router')
+  , should = require('should');
+
+describe('Router#problems()', function() {
+  it('responds to errors thrown by routes with problem details', function(done) {
+    var router = new Router();
+    router.get('user', '/users/:id', function (ctx) {
+      ctx.throw(404, 'User ' + ctx.params.id + ' does not exist');
+    });
+
+    var app = new Koa();
+    app.silent = true;
+    app.use(router.problems());
+    app.use(router.routes());
+    app.use(router.allowedMethods({ throw: true }));
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/users/3?full=1')
+      .expect(404)
+      .expect('Content-Type', /^application\/problem\+json/)
+      .end(function (err, res) {
+        if (err) return done(err);
+        JSON.parse(res.text).should.eql({
+          type: 'about:blank',
+          title: 'Not Found',
+          status: 404,
+          detail: 'User 3 does not exist',
+          instance: '/users/3?full=1',
+          routeName: 'user',
+          routePath: '/users/:id'
+        });
+        done();
+      });
+  });
+
+  it('hides the message of server errors', function(done) {
+    var router = new Router();
+    var reported = [];
+    router.get('/crash', function () {
+      throw new Error('connection string leaked');
+    });
+    var app = new Koa();
+    app.on('error', function (err) {
+      reported.push(err.message);
+    });
+    app.use(router.problems());
+    app.use(router.routes());
+
+    request(http.createServer(app.callback()))
+      .get('/crash')
+      .expect(500)
+      .end(function (err, res) {
+        if (err) return done(err);
+        var body = JSON.parse(res.text);
+        body.should.have.property('title', 'Internal Server Error');
+        body.should.not.have.property('detail');
+        reported.should.eql(['connection string leaked']);
+        done();
+      });
+  });
+
+  it('formats errors thrown by allowedMethods()', function(done) {
+    var router = new Router();
+    router.get('/users', function () {});
+
+    var app = new Koa();
+    app.silent = true;
+    app.use(router.problems());
+    app.use(router.routes());
+    app.use(router.allowedMethods({ throw: true }));
+    var server = http.createServer(app.callback());
+    request(server)
+      .post('/users')
+      .expect(405)
+      .end(function (err, res) {
+        if (err) return done(err);
+        var body = JSON.parse(res.text);
+        body.should.have.property('status', 405);
+        body.should.have.property('title', 'Method Not Allowed');
+        body.should.not.have.property('routePath');
+        done();
+      });
+  });
+
+  it('formats errors of param loaders', function(done) {
+    var router = new Router();
+    router
+      .load('id', function () {
+        return null;
+      }, { as: 'user' })
+      .get('/users/:id', function () {});
+
+    var app = new Koa();
+    app.silent = true;
+    app.use(router.problems());
+    app.use(router.routes());
+    app.use(router.allowedMethods({ throw: true }));
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/users/9')
+      .expect(404)
+      .end(function (err, res) {
+        if (err) return done(err);
+        JSON.parse(res.text).should.have.property('detail', 'No user found for id "9"');
+        done();
+      });
+  });
+
+  it('formats failed validations', function(done) {
+    var router = new Router();
+    router.get('/users', {
+      validate: { query: { properties: { limit: { type: 'integer' } } } }
+    }, function (ctx) {
+      ctx.body = [];
+    });
+
+    var app = new Koa();
+    app.silent = true;
+    app.use(router.problems());
+    app.use(router.routes());
+    app.use(router.allowedMethods({ throw: true }));
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/users?limit=ten')
+      .expect(400)
+      .expect('Content-Type', /^application\/problem\+json/)
+      .end(function (err, res) {
+        if (err) return done(err);
+        var body = JSON.parse(res.text);
+        body.should.have.property('title', 'Bad Request');
+        body.should.have.property('detail', 'Invalid request');
+        body.errors.should.have.length(1);
+        body.errors[0].should.have.property('path', 'limit');
+        done();
+      });
+  });
+
+  it('formats responses for unmet content types', function(done) {
+    var router = new Router();
+    router.post('/orders', { consumes: ['json'] }, function (ctx) {
+      ctx.status = 201;
+    });
+    router.get('/orders', { produces: ['text/csv'] }, function (ctx) {
+      ctx.body = '';
+    });
+
+    var app = new Koa();
+    app.silent = true;
+    app.use(router.problems());
+    app.use(router.routes());
+    app.use(router.allowedMethods({ throw: true }));
+    var server = http.createServer(app.callback());
+    request(server)
+      .post('/orders')
+      .set('Content-Type', 'text/plain')
+      .send('hello')
+      .expect(415)
+      .expect('Accept', 'application/json')
+      .expect('Content-Type', /^application\/problem\+json/)
+      .end(function (err, res) {
+        if (err) return done(err);
+        JSON.parse(res.text).should.have.property('detail', 'Content type "text/plain" is not supported');
+        request(server)
+          .get('/orders')
+          .set('Accept', 'application/xml')
+          .expect(406)
+          .expect('Content-Type', /^application\/problem\+json/)
+          .end(done);
+      });
+  });
+
+  it('supports custom types, exposure and error headers', function(done) {
+    var router = new Router();
+    router.post('/orders', function (ctx) {
+      var err = new Error('Invalid order');
+      err.status = 422;
+      err.errors = [{ path: 'total', message: 'must be positive' }];
+      err.headers = { 'Retry-After': '10' };
+      throw err;
+    });
+
+    var app = new Koa();
+    app.silent = true;
+    app.use(router.problems({
+      type: function (err) {
+        return 'https://example.com/problems/' + err.status;
+      },
+      expose: function () {
+        return true;
+      }
+    }));
+    app.use(router.routes());
+    app.use(router.allowedMethods({ throw: true }));
+    var server = http.createServer(app.callback());
+    request(server)
+      .post('/orders')
+      .expect(422)
+      .expect('Retry-After', '10')
+      .end(function (err, res) {
+        if (err) return done(err);
+        var body = JSON.parse(res.text);
+        body.should.have.property('type', 'https://example.com/problems/422');
+        body.should.have.property('detail', 'Invalid order');
+        body.errors.should.eql([{ path: 'total', message: 'must be positive' }]);
+        done();
+      });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Redirect tests
+ */
+
+var Koa = require('koa')
+  , http = require('http')
+  , request = require('supertest')
+  , Router = require('../../lib/router')
+  , should = require('should');
+
+describe('Router#redirect() with params', function() {
+  it('fills in destination params and keeps the query string', function(done) {
+    var router = new Router();
+    router.redirect('/old/:id/:title', '/new/:id/:title?ref=old');
+
+    var app = new Koa();
+    app.use(router.routes());
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/old/3/hello%20world?tab=posts#ignored')
+      .expect(301)
+      .expect('Location', '/new/3/hello%20world?ref=old&tab=posts')
+      .end(done);
+  });
+
+  it('redirects to named routes with mapped params', function(done) {
+    var router = new Router({ prefix: '/api' });
+    router.get('user', '/users/:id', function () {});
+    router.redirect('/members/:memberId', 'user', {
+      params: { id: 'memberId' },
+      query: false
+    });
+
+    var app = new Koa();
+    app.use(router.routes());
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/api/members/7?tab=posts')
+      .expect(301)
+      .expect('Location', '/api/users/7')
+      .end(done);
+  });
+
+  it('does not take params for options of routes without params', function(done) {
+    var router = new Router();
+    router.get('search', '/search', function () {});
+    router.redirect('/find/:query/:hash', 'search');
+
+    var app = new Koa();
+    app.use(router.routes());
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/find/cats/top')
+      .expect(301)
+      .expect('Location', '/search')
+      .end(done);
+  });
+
+  it('accepts a function building the params', function(done) {
+    var router = new Router();
+    router.redirect('/archive/:year/:month', 'https://blog.example.com/:period', {
+      params: function (params) {
+        return { period: params.year + '-' + params.month };
+      }
+    });
+
+    var app = new Koa();
+    app.use(router.routes());
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/archive/2018/07')
+      .expect(301)
+      .expect('Location', 'https://blog.example.com/2018-07')
+      .end(done);
+  });
+
+  it('keeps the method of other requests with 307 and 308', function(done) {
+    var router = new Router();
+    router.redirect('/v1/orders', '/v2/orders');
+    router.redirect('/beta/orders', '/v2/orders', { permanent: false });
+
+    var app = new Koa();
+    app.use(router.routes());
+    var server = http.createServer(app.callback());
+    request(server)
+      .post('/v1/orders')
+      .expect(308)
+      .expect('Location', '/v2/orders')
+      .end(function (err) {
+        if (err) return done(err);
+        request(server)
+          .put('/beta/orders')
+          .expect(307)
+          .end(function (err) {
+            if (err) return done(err);
+            request(server)
+              .get('/beta/orders')
+              .expect(302)
+              .end(done);
+          });
+      });
+  });
+
+  it('restricts redirects to the given methods', function(done) {
+    var router = new Router();
+    router.redirect('/login', '/sign-in', { methods: ['get'], status: 303 });
+    router.post('/login', function (ctx) {
+      ctx.body = 'logged in';
+    });
+
+    var app = new Koa();
+    app.use(router.routes());
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/login')
+      .expect(303)
+      .end(function (err) {
+        if (err) return done(err);
+        request(server)
+          .post('/login')
+          .expect(200, 'logged in')
+          .end(done);
+      });
+  });
+
+  it('redirects from named routes with params', function(done) {
+    var router = new Router();
+    router.get('legacy', '/profile/:id', function () {});
+    router.redirect('legacy', '/users/:id');
+    router.remove('legacy');
+
+    var app = new Koa();
+    app.use(router.routes());
+    var server = http.createServer(app.callback());
+    request(server)
+      .get('/profile/4')
+      .expect(301)
+      .expect('Location', '/users/4')
+      .end(done);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Resource tests
+ */
+
+var Koa = require('koa')
+  , http = require('http')
+  , request = require('supertest')
+  , Router = require('../../lib/router')
+  , should = require('should');
+
+describe('Router#resource()', function() {
+  function action(name) {
+    return function (ctx) {
+      ctx.body = { action: name, params: ctx.params };
+    };
+  }
+
+  function controller(names) {
+    var actions = {};
+    names.forEach(function (name) {
+      actions[name] = action(name);
+    });
+    return actions;
+  }
+
+  function routes(router) {
+    return router.stack.map(function (layer) {
+      return [layer.name, layer.methods.join(','), layer.path].join(' ');
+    });
+  }
+
+  var ALL = ['index', 'new', 'create', 'show', 'edit', 'update', 'destroy'];
+
+  it('registers conventional routes for implemented actions', function() {
+    var router = new Router();
+    router.resource('users', controller(ALL));
+    routes(router).should.eql([
+      'users.new HEAD,GET /users/new',
+      'users.index HEAD,GET /users',
+      'users.create POST /users',
+      'users.edit HEAD,GET /users/:id/edit',
+      'users.show HEAD,GET /users/:id',
+      'users.update PUT,PATCH /users/:id',
+      'users.destroy DELETE /users/:id'
+    ]);
+    router = new Router();
+    router.resource('users', controller(['index', 'show']));
+    routes(router).should.eql([
+      'users.index HEAD,GET /users',
+      'users.show HEAD,GET /users/:id'
+    ]);
+  });
+
+  it('dispatches to controller actions', function(done) {
+    var app = new Koa();
+    var router = new Router();
+    router.resource('users', controller(ALL));
+    var server = http.createServer(app.use(router.routes()).callback());
+    request(server)
+    .get('/users/new')
+    .expect(200, { action: 'new', params: {} })
+    .end(function(err) {
+      if (err) return done(err);
+      request(server)
+      .patch('/users/3')
+      .expect(200, { action: 'update', params: { id: '3' } })
+      .end(done);
+    });
+  });
+
+  it('filters actions with only and except', function() {
+    var router = new Router();
+    router.resource('users', controller(ALL), { only: ['index', 'show'] });
+    router.resource('posts', controller(ALL), { except: ['new', 'edit', 'destroy'] });
+    routes(router).should.eql([
+      'users.index HEAD,GET /users',
+      'users.show HEAD,GET /users/:id',
+      'posts.index HEAD,GET /posts',
+      'posts.create POST /posts',
+      'posts.show HEAD,GET /posts/:id',
+      'posts.update PUT,PATCH /posts/:id'
+    ]);
+  });
+
+  it('throws when only asks for an action the controller lacks', function() {
+    (function () {
+      new Router().resource('users', controller(['index']), { only: ['index', 'show'] });
+    }).should.throw('Resource `users`: controller has no `show` action');
+  });
+
+  it('throws for unknown actions in only and except', function() {
+    (function () {
+      new Router().resource('users', controller(['index', 'show']), { only: ['index', 'shw'] });
+    }).should.throw('Resource `users`: unknown action `shw`');
+    (function () {
+      new Router().resource('users', controller(['index']), { except: ['delete'] });
+    }).should.throw('Resource `users`: unknown action `delete`');
+    new Router().resource('users', controller(['index', 'search']), {
+      collection: { search: 'get' },
+      only: ['index', 'search']
+    }).stack.should.have.length(2);
+  });
+
+  it('registers custom member and collection actions', function() {
+    var router = new Router();
+    router.resource('users', controller(['show', 'publish', 'search']), {
+      member: { publish: ['post', 'put'] },
+      collection: { search: 'get' },
+      param: 'user'
+    });
+    routes(router).should.eql([
+      'users.search HEAD,GET /users/search',
+      'users.show HEAD,GET /users/:user',
+      'users.publish POST,PUT /users/:user/publish'
+    ]);
+  });
+
+  it('nests resources', function() {
+    var router = new Router({ prefix: '/api' });
+    router.resource('users', controller(['show']));
+    router.resource('posts', controller(['index', 'show']), { parent: 'users' });
+    router.resource('comments', controller(['show']), { parent: 'users.posts', path: 'replies' });
+    routes(router).should.eql([
+      'users.show HEAD,GET /api/users/:id',
+      'users.posts.index HEAD,GET /api/users/:userId/posts',
+      'users.posts.show HEAD,GET /api/users/:userId/posts/:id',
+      'users.posts.comments.show HEAD,GET /api/users/:userId/posts/:postId/replies/:id'
+    ]);
+    router.url('users.posts.show', { userId: 1, id: 2 }).should.equal('/api/users/1/posts/2');
+    router.url('users.posts.comments.show', { userId: 1, postId: 2, id: 3 })
+      .should.equal('/api/users/1/posts/2/replies/3');
+  });
+
+  it('throws for unknown parent resources', function() {
+    (function () {
+      new Router().resource('posts', controller(['index']), { parent: 'users' });
+    }).should.throw('Resource `posts`: parent resource `users` is not defined');
+  });
+});
@@ -776,27 +776,750 @@ describe('Router', function () {
         });
     });
 
+    it('responds to OPTIONS whatever status later middleware set', function (done) {
+      var app = new Koa();
+      var router = new Router();
+      router.get('/users', function () {});
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      app.use(function (ctx) {
+        ctx.status = 400;
+      });
+      request(http.createServer(app.callback()))
+        .options('/users')
+        .expect(200)
+        .expect('Allow', 'HEAD, GET')
+        .end(done);
+    });
+
+    it('leaves OPTIONS to routes handling it', function (done) {
+      var app = new Koa();
+      var router = new Router();
+      router.get('/users', function () {});
+      router.options('/users', function (ctx) {
+        ctx.status = 204;
+        ctx.set('Allow', 'GET');
+      });
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      request(http.createServer(app.callback()))
+        .options('/users')
+        .expect(204)
+        .expect('Allow', 'GET')
+        .end(done);
+    });
+
+    it('ignores middleware without methods', function (done) {
+      var app = new Koa();
+      var router = new Router();
+      router.use('/users', function (ctx, next) {
+        return next();
+      });
+      router.post('/users', function () {});
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      var server = http.createServer(app.callback());
+      request(server)
+        .options('/users')
+        .expect(200)
+        .expect('Allow', 'POST')
+        .end(function (err) {
+          if (err) return done(err);
+          request(server)
+            .options('/users/1')
+            .expect(404)
+            .end(function (err) {
+              if (err) return done(err);
+              request(server)
+                .search('/users/1')
+                .expect(501)
+                .end(function (err, res) {
+                  if (err) return done(err);
+                  res.header.should.not.have.property('allow');
+                  done();
+                });
+            });
+        });
+    });
+  });
+
+  describe('Router#notFound() and Router#methodNotAllowed()', function () {
+    function site() {
+      var router = new Router();
+      var api = new Router({ prefix: '/api' });
+      var users = new Router();
+      var admin = new Router();
+
+      users.get('/:id', function (ctx) {
+        ctx.body = { id: ctx.params.id };
+      });
+      api
+        .notFound(function (ctx) {
+          ctx.body = { status: ctx.status, message: 'No such endpoint' };
+        })
+        .methodNotAllowed(function (ctx) {
+          ctx.body = { status: ctx.status, allow: ctx.response.get('Allow') };
+        })
+        .use('/users', users.routes());
+      admin
+        .get('/', function (ctx) {
+          ctx.body = 'dashboard';
+        })
+        .notFound(function (ctx) {
+          ctx.type = 'html';
+          ctx.body = '<h1>Page not found</h1>';
+        });
+      router
+        .use(api.routes())
+        .use('/admin', admin.routes());
+
+      var app = new Koa();
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      return http.createServer(app.callback());
+    }
+
+    it('responds with the handler of the matching scope', function (done) {
+      var server = site();
+      request(server)
+        .get('/api/posts')
+        .expect(404, { status: 404, message: 'No such endpoint' })
+        .end(function (err) {
+          if (err) return done(err);
+          request(server)
+            .get('/admin/settings')
+            .expect(404)
+            .expect('Content-Type', /html/)
+            .expect('<h1>Page not found</h1>')
+            .end(done);
+        });
+    });
+
+    it('inherits handlers in nested routers', function (done) {
+      request(site())
+        .get('/api/users/1/posts')
+        .expect(404, { status: 404, message: 'No such endpoint' })
+        .end(done);
+    });
+
+    it('lets nested routers override handlers', function (done) {
+      var app = new Koa();
+      var router = new Router();
+      var child = new Router();
+      router.notFound(function (ctx) {
+        ctx.body = 'parent';
+      });
+      child.notFound(function (ctx) {
+        ctx.body = 'child';
+      });
+      router.use('/child', child.routes());
+      app.use(router.routes());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/child/missing')
+        .expect(404, 'child')
+        .end(function (err) {
+          if (err) return done(err);
+          request(server)
+            .get('/missing')
+            .expect(404, 'parent')
+            .end(done);
+        });
+    });
+
+    it('looks past mounted routers without a handler of their own', function (done) {
+      var app = new Koa();
+      var parent = new Router();
+      var misc = new Router();
+      var admin = new Router();
+      misc.get('/about', function () {});
+      parent.notFound(function (ctx) {
+        ctx.body = 'parent';
+      });
+      parent.use(misc.routes());
+      parent.use('/admin', admin.routes());
+      admin.notFound(function (ctx) {
+        ctx.body = 'admin';
+      });
+      app.use(parent.routes());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/admin/nope')
+        .expect(404, 'admin')
+        .end(function (err) {
+          if (err) return done(err);
+          request(server)
+            .get('/nope')
+            .expect(404, 'parent')
+            .end(done);
+        });
+    });
+
+    it('responds with the method not allowed handler', function (done) {
+      request(site())
+        .del('/api/users/1')
+        .expect(405, { status: 405, allow: 'HEAD, GET' })
+        .expect('Allow', 'HEAD, GET')
+        .end(done);
+    });
+
+    it('takes precedence over allowedMethods() errors', function (done) {
+      var app = new Koa();
+      var router = new Router();
+      router.get('/users', function () {});
+      router.methodNotAllowed(function (ctx) {
+        ctx.body = 'custom';
+      });
+      app.use(router.routes());
+      app.use(router.allowedMethods({ throw: true }));
+      request(http.createServer(app.callback()))
+        .post('/users')
+        .expect(405, 'custom')
+        .end(done);
+    });
+
+    it('runs without allowedMethods()', function (done) {
+      var app = new Koa();
+      var router = new Router();
+      router.get('/users', function () {});
+      router.methodNotAllowed(function (ctx) {
+        ctx.body = 'custom';
+      });
+      app.use(router.routes());
+      request(http.createServer(app.callback()))
+        .post('/users')
+        .expect(405, 'custom')
+        .expect('Allow', 'HEAD, GET')
+        .end(done);
+    });
+
+    it('falls back to allowedMethods() without a handler', function (done) {
+      request(site())
+        .post('/admin')
+        .expect(405)
+        .expect('Allow', 'HEAD, GET')
+        .end(function (err, res) {
+          if (err) return done(err);
+          res.text.should.equal('Method Not Allowed');
+          done();
+        });
+    });
+
+    it('leaves paths outside every scope and handled requests alone', function (done) {
+      var app = new Koa();
+      var api = new Router({ prefix: '/api' });
+      api.notFound(function (ctx) {
+        ctx.body = 'api';
+      });
+      app.use(api.routes());
+      app.use(function (ctx, next) {
+        if (ctx.path === '/api/handled') ctx.body = 'handled';
+        return next();
+      });
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/other')
+        .expect(404, 'Not Found')
+        .end(function (err) {
+          if (err) return done(err);
+          request(server)
+            .get('/api/handled')
+            .expect(200, 'handled')
+            .end(done);
+        });
+    });
+  });
+
+  describe('HEAD requests', function () {
+    it('run GET routes without sending the body', function (done) {
+      var app = new Koa();
+      var router = new Router();
+      var body = { users: ['alex'] };
+      var sent;
+      router.get('/users', function (ctx) {
+        ctx.body = body;
+      });
+      app.use(function (ctx, next) {
+        return next().then(function () {
+          sent = ctx.body;
+        });
+      });
+      app.use(router.routes());
+      request(http.createServer(app.callback()))
+        .head('/users')
+        .expect(200)
+        .expect('Content-Type', /application\/json/)
+        .expect('Content-Length', String(JSON.stringify(body).length))
+        .end(function (err, res) {
+          if (err) return done(err);
+          sent.should.equal('');
+          done();
+        });
+    });
+
+    it('close stream bodies', function (done) {
+      var app = new Koa();
+      var router = new Router();
+      var stream;
+      router.get('/file', function (ctx) {
+        ctx.type = 'js';
+        ctx.body = stream = fs.createReadStream(__filename);
+      });
+      app.use(router.routes());
+      request(http.createServer(app.callback()))
+        .head('/file')
+        .expect(200)
+        .expect('Content-Type', /javascript/)
+        .end(function (err, res) {
+          if (err) return done(err);
+          stream.destroyed.should.equal(true);
+          res.header.should.not.have.property('content-length');
+          done();
+        });
+    });
+
+  });
+
+  it('supports custom routing detect path: ctx.routerPath', function (done) {
+    var app = new Koa();
+    var router = new Router();
+    app.use(function (ctx, next) {
+      // bind helloworld.example.com/users => example.com/helloworld/users
+      var appname = ctx.request.hostname.split('.', 1)[0];
+      ctx.routerPath = '/' + appname + ctx.path;
+      return next();
+    });
+    app.use(router.routes());
+    router.get('/helloworld/users', function (ctx) {
+      ctx.body = ctx.method + ' ' + ctx.url;
+    });
+
+    request(http.createServer(app.callback()))
+    .get('/users')
+    .set('Host', 'helloworld.example.com')
+    .expect(200)
+    .expect('GET /users', done);
+  });
+
+  describe('host option', function () {
+    it('restricts router to an exact hostname', function (done) {
+      var router = new Router({ host: 'api.example.com' });
+      router.get('/status', function (ctx) {
+        ctx.body = { ok: true };
+      });
+      var app = new Koa();
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/status')
+        .set('Host', 'api.example.com:3000')
+        .expect(200)
+        .end(function (err) {
+          if (err) return done(err);
+          request(server)
+            .get('/status')
+            .set('Host', 'www.example.com')
+            .expect(404)
+            .end(done);
+        });
+    });
+
+    it('merges host params into ctx.params', function (done) {
+      var router = new Router({ host: ':tenant.example.com' });
+      router.get('/users/:id', function (ctx) {
+        ctx.body = ctx.params;
+      });
+      var app = new Koa();
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/users/3')
+        .set('Host', 'acme.example.com')
+        .expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          res.body.should.eql({ tenant: 'acme', id: '3' });
+          done();
+        });
+    });
+
+    it('restricts single routes by hostname or regexp', function (done) {
+      var router = new Router();
+      router.get('/', { host: /^admin\./ }, function (ctx) {
+        ctx.body = { admin: true };
+      });
+      router.get('/', function (ctx) {
+        ctx.body = ctx.body || { admin: false };
+      });
+      router.post('/', { host: 'admin.example.com' }, function () {});
+      var app = new Koa();
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/')
+        .set('Host', 'admin.example.com')
+        .expect(200, { admin: true })
+        .end(function (err) {
+          if (err) return done(err);
+          request(server)
+            .post('/')
+            .set('Host', 'www.example.com')
+            .expect(405)
+            .end(function (err, res) {
+              if (err) return done(err);
+              res.header.should.have.property('allow', 'HEAD, GET');
+              done();
+            });
+        });
+    });
+
+    it('applies the parent host to nested routers', function () {
+      var parent = new Router({ host: 'api.example.com' });
+      var child = new Router();
+      child.get('/users', function () {});
+      parent.use(child.routes());
+      parent.match('/users', 'GET', { host: 'api.example.com' }).route.should.be.true;
+      parent.match('/users', 'GET', { host: 'example.com' }).route.should.be.false;
+      parent.match('/users', 'GET').route.should.be.false;
+      parent.getRoutes()[0].should.have.property('host', 'api.example.com');
+    });
+  });
+
+  describe('version option', function () {
+    function versioned(opts) {
+      var router = new Router(opts);
+      router.get('/orders', { version: '1' }, function (ctx) {
+        ctx.body = { version: 1 };
+      });
+      router.get('/orders', { version: ['2', '3'] }, function (ctx) {
+        ctx.body = { version: 2 };
+      });
+      router.get('/status', function (ctx) {
+        ctx.body = { ok: true };
+      });
+      return router;
+    }
+
+    it('selects routes by the Accept-Version header', function (done) {
+      var router = versioned();
+      var app = new Koa();
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/orders')
+        .set('Accept-Version', '3')
+        .expect('Vary', 'Accept-Version, Accept')
+        .expect(200, { version: 2 })
+        .end(done);
+    });
+
+    it('selects routes by vendor media type', function (done) {
+      var router = versioned();
+      var app = new Koa();
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/orders')
+        .set('Accept', 'application/vnd.acme.v1+json')
+        .expect(200, { version: 1 })
+        .end(done);
+    });
+
+    it('selects routes with a custom resolver and default version', function (done) {
+      var router = versioned({
+        resolveVersion: function (ctx) {
+          return ctx.query.v;
+        },
+        defaultVersion: '2'
+      });
+      var app = new Koa();
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/orders?v=1')
+        .expect(200, { version: 1 })
+        .end(function (err) {
+          if (err) return done(err);
+          request(server)
+            .get('/orders')
+            .expect(200, { version: 2 })
+            .end(done);
+        });
+    });
+
+    it('responds with 406 for versions no route serves', function (done) {
+      var router = versioned();
+      var app = new Koa();
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/orders')
+        .set('Accept-Version', '4')
+        .expect(406, {
+          status: 406,
+          message: 'API version "4" is not available',
+          versions: ['1', '2', '3']
+        })
+        .end(done);
+    });
+
+    it('serves every version from unversioned routes', function (done) {
+      var router = versioned();
+      var app = new Koa();
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/status')
+        .set('Accept-Version', '4')
+        .expect(200, { ok: true })
+        .end(done);
+    });
+
+    it('lets the first route answer requests asking for no version', function (done) {
+      var router = versioned();
+      var app = new Koa();
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/orders')
+        .expect(200, { version: 1 })
+        .end(done);
+    });
+  });
+
+  describe('consumes and produces options', function () {
+    function negotiated() {
+      var router = new Router();
+      router.get('/orders', { produces: ['json'] }, function (ctx) {
+        ctx.body = [{ id: 1 }];
+      });
+      router.get('/orders', { produces: ['text/csv'] }, function (ctx) {
+        ctx.body = 'id\n1\n';
+      });
+      router.post('/orders', { consumes: ['json', 'application/x-www-form-urlencoded'] }, function (ctx) {
+        ctx.status = 201;
+      });
+      return router;
+    }
+
+    it('selects routes by the types they produce', function (done) {
+      var router = negotiated();
+      var app = new Koa();
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/orders')
+        .set('Accept', 'text/csv')
+        .expect('Content-Type', /^text\/csv/)
+        .expect('Vary', 'Accept')
+        .expect(200, 'id\n1\n')
+        .end(function (err) {
+          if (err) return done(err);
+          request(server)
+            .get('/orders')
+            .expect('Content-Type', /^application\/json/)
+            .expect(200, [{ id: 1 }])
+            .end(done);
+        });
+    });
+
+    it('runs the route producing the preferred type and responds with that type', function (done) {
+      var router = new Router();
+      router.get('/o', { produces: ['text/csv'] }, function (ctx) {
+        ctx.body = 'csv';
+      });
+      router.get('/o', { produces: ['text/html'] }, function (ctx) {
+        ctx.body = 'html';
+      });
+
+      var app = new Koa();
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/o')
+        .expect('Content-Type', /^text\/csv/)
+        .expect(200, 'csv')
+        .end(function (err) {
+          if (err) return done(err);
+          request(server)
+            .get('/o')
+            .set('Accept', 'text/csv;q=0.9, text/html')
+            .expect('Content-Type', /^text\/html/)
+            .expect(200, 'html')
+            .end(done);
+        });
+    });
+
+    it('responds with 406 when no route produces an accepted type', function (done) {
+      var router = negotiated();
+      var app = new Koa();
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/orders')
+        .set('Accept', 'application/xml')
+        .expect(406, {
+          status: 406,
+          message: 'None of the accepted types can be produced',
+          types: ['application/json', 'text/csv']
+        })
+        .end(done);
+    });
+
+    it('responds with 415 when no route consumes the content type', function (done) {
+      var router = negotiated();
+      var app = new Koa();
+      app.use(router.routes());
+      app.use(router.allowedMethods());
+      var server = http.createServer(app.callback());
+      request(server)
+        .post('/orders')
+        .set('Content-Type', 'text/plain')
+        .send('hello')
+        .expect('Accept', 'application/json, application/x-www-form-urlencoded')
+        .expect(415)
+        .end(function (err, res) {
+          if (err) return done(err);
+          res.body.should.have.property('message', 'Content type "text/plain" is not supported');
+          request(server)
+            .post('/orders')
+            .send({ id: 2 })
+            .expect(201)
+            .end(done);
+        });
+    });
+
+    it('lists content types in introspection and OpenAPI output', function () {
+      var router = negotiated();
+      router.getRoutes()[1].should.have.property('produces', ['text/csv']);
+      router.getRoutes()[2].should.have.property('consumes', ['application/json', 'application/x-www-form-urlencoded']);
+      router.post('/invoices', {
+        consumes: ['json'],
+        produces: ['json', 'text/csv'],
+        meta: { requestBody: { type: 'object' }, responses: { 201: { type: 'object' } } }
+      }, function () {});
+      var post = router.toOpenAPI().paths['/invoices'].post;
+      post.requestBody.content.should.have.keys('application/json');
+      post.responses[201].content.should.have.keys('application/json', 'text/csv');
+    });
+
+    it('rejects unknown content types', function () {
+      (function () {
+        new Router().get('/', { produces: ['nonsense'] }, function () {});
+      }).should.throw('Unknown content type `nonsense`');
+    });
   });
 
-  it('supports custom routing detect path: ctx.routerPath', function (done) {
-    var app = new Koa();
-    var router = new Router();
-    app.use(function (ctx, next) {
-      // bind helloworld.example.com/users => example.com/helloworld/users
-      var appname = ctx.request.hostname.split('.', 1)[0];
-      ctx.routerPath = '/' + appname + ctx.path;
-      return next();
+  describe('order option', function () {
+    function route(name) {
+      return function (ctx) {
+        ctx.body = { route: name, matched: ctx._matchedRoute };
+      };
+    }
+
+    it('runs routes in registration order by default', function (done) {
+      var router = new Router();
+      router.get('/users/:id', route('user'));
+      router.get('/users/me', route('me'));
+      var app = new Koa();
+      app.use(router.routes());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/users/me')
+        .expect(200, { route: 'user', matched: '/users/me' })
+        .end(done);
     });
-    app.use(router.routes());
-    router.get('/helloworld/users', function (ctx) {
-      ctx.body = ctx.method + ' ' + ctx.url;
+
+    it('runs the most specific route first with `specificity`', function (done) {
+      var router = new Router({ order: 'specificity' });
+      router.get('/users/:id', route('user'));
+      router.get('/users/me', route('me'));
+      var app = new Koa();
+      app.use(router.routes());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/users/me')
+        .expect(200, { route: 'me', matched: '/users/me' })
+        .end(function (err) {
+          if (err) return done(err);
+          request(server)
+            .get('/users/42')
+            .expect(200, { route: 'user', matched: '/users/:id' })
+            .end(done);
+        });
     });
 
-    request(http.createServer(app.callback()))
-    .get('/users')
-    .set('Host', 'helloworld.example.com')
-    .expect(200)
-    .expect('GET /users', done);
+    it('prefers typed params to plain params to wildcards', function (done) {
+      var router = new Router({ order: 'specificity' });
+      router.get('/files/:path*', route('path'));
+      router.get('/files/:name', route('name'));
+      router.get('/files/:id<int>', route('id'));
+      var app = new Koa();
+      app.use(router.routes());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/files/3')
+        .expect(200, { route: 'id', matched: '/files/:id<int>' })
+        .end(function (err) {
+          if (err) return done(err);
+          request(server)
+            .get('/files/readme')
+            .expect(200, { route: 'name', matched: '/files/:name' })
+            .end(function (err) {
+              if (err) return done(err);
+              request(server)
+                .get('/files/docs/readme')
+                .expect(200, { route: 'path', matched: '/files/:path*' })
+                .end(done);
+            });
+        });
+    });
+
+    it('falls through to less specific routes on next()', function (done) {
+      var router = new Router({ order: 'specificity' });
+      var calls = [];
+      router.get('/users/:id', function (ctx) {
+        calls.push('user');
+        ctx.body = calls;
+      });
+      router.use(function (ctx, next) {
+        calls.push('middleware');
+        return next();
+      });
+      router.get('/users/me', function (ctx, next) {
+        calls.push('me');
+        return next();
+      });
+      var app = new Koa();
+      app.use(router.routes());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/users/me')
+        .expect(200, ['me', 'middleware', 'user'])
+        .end(done);
+    });
+
+    it('does not report more specific routes as conflicts', function () {
+      var router = new Router({ order: 'specificity', lint: 'throw' });
+      router.get('/users/:id', function () {});
+      router.get('/users/me', function () {});
+      router.lint().should.eql([]);
+      (function () {
+        router.get('/users/:name', function () {});
+      }).should.throw(/duplicates/);
+    });
   });
 
   describe('Router#[verb]()', function () {
@@ -1070,6 +1793,132 @@ describe('Router', function () {
           done();
         });
     });
+
+    describe('with nested routers', function () {
+      function paths(router) {
+        return router.stack.map(function (layer) {
+          return layer.path;
+        });
+      }
+
+      it('mounts a router at several paths without changing it', function (done) {
+        var app = new Koa();
+        var router = new Router();
+        var users = new Router();
+        users.get('user', '/:id', function (ctx) {
+          ctx.body = { path: ctx._matchedRoute, id: ctx.params.id };
+        });
+        router.use('/users', users.routes());
+        router.use('/members', users.routes());
+
+        paths(users).should.eql(['/:id']);
+        paths(router).should.eql(['/users/:id', '/members/:id']);
+        router.url('user', 3).should.equal('/users/3');
+
+        var server = http.createServer(app.use(router.routes()).callback());
+        request(server)
+          .get('/members/4')
+          .expect(200, { path: '/members/:id', id: '4' })
+          .end(function (err) {
+            if (err) return done(err);
+            request(server)
+              .get('/users/3')
+              .expect(200, { path: '/users/:id', id: '3' })
+              .end(done);
+          });
+      });
+
+      it('serves routes added to a mounted router later', function (done) {
+        var app = new Koa();
+        var router = new Router({ prefix: '/api' });
+        var v1 = new Router();
+        var users = new Router();
+        router.use('/v1', v1.routes());
+        router.get('/health', function () {});
+        v1.use('/users', users.routes());
+        users.get('/:id/posts', function (ctx) {
+          ctx.body = ctx.params;
+        });
+
+        paths(router).should.eql(['/api/v1/users/:id/posts', '/api/health']);
+        paths(users).should.eql(['/:id/posts']);
+
+        request(http.createServer(app.use(router.routes()).callback()))
+          .get('/api/v1/users/5/posts')
+          .expect(200, { id: '5' })
+          .end(done);
+      });
+
+      it('updates the views of routes added or removed later in place', function () {
+        var router = new Router();
+        var v1 = new Router();
+        var users = new Router();
+        router.use('/v1', v1.routes());
+        v1.use('/users', users.routes());
+        v1.get('status', '/status', function () {});
+        var status = router.stack[0];
+        users.get('/:id', function () {});
+        users.get('me', '/me', function () {});
+
+        paths(v1).should.eql(['/users/:id', '/users/me', '/status']);
+        paths(router).should.eql(['/v1/users/:id', '/v1/users/me', '/v1/status']);
+        router.stack[2].should.equal(status);
+
+        users.remove('me');
+        paths(router).should.eql(['/v1/users/:id', '/v1/status']);
+        router.stack[1].should.equal(status);
+      });
+
+      it('adds routes to deeply mounted routers quickly', function () {
+        this.timeout(5000);
+        var root = new Router();
+        var api = new Router();
+        var v1 = new Router();
+        root.use('/api', api.routes());
+        api.use('/v1', v1.routes());
+        for (var i = 0; i < 1000; i++) v1.get('/r' + i + '/:id', function () {});
+
+        root.stack.should.have.length(1000);
+        root.match('/api/v1/r999/3', 'GET').route.should.equal(true);
+      });
+
+      it('keeps mounted routers usable on their own', function (done) {
+        var app = new Koa();
+        var users = new Router();
+        users.get('/users/:id', function (ctx) {
+          ctx.body = 'user';
+        });
+        new Router().use('/api', users.routes());
+        new Router({ prefix: '/admin', host: 'admin.example.com' }).use(users.routes());
+
+        users.stack[0].should.have.property('host', null);
+        request(http.createServer(app.use(users.routes()).callback()))
+          .get('/users/1')
+          .expect(200, 'user')
+          .end(done);
+      });
+
+      it('does not give parent param middleware to the mounted router', function (done) {
+        var app = new Koa();
+        var router = new Router();
+        var users = new Router();
+        users.get('/users/:id', function (ctx) {
+          ctx.body = { loaded: !!ctx.state.loaded };
+        });
+        router.use('/api', users.routes());
+        router.param('id', function (id, ctx, next) {
+          ctx.state.loaded = true;
+          return next();
+        });
+
+        should.not.exist(users.params.id);
+        users.stack[0].stack.should.have.length(1);
+        request(http.createServer(app.use(users.routes()).callback()))
+          .get('/users/1')
+          .expect(200, { loaded: false })
+          .end(done);
+      });
+    });
   });
 
   describe('Router#register()', function () {
@@ -1110,7 +1959,7 @@ describe('Router', function () {
       router.redirect('home', 'sign-up-form');
       request(http.createServer(app.callback()))
         .post('/')
-        .expect(301)
+        .expect(308)
         .end(function (err, res) {
           if (err) return done(err);
           res.header.should.have.property('location', '/sign-up-form');
@@ -1128,6 +1977,362 @@ describe('Router', function () {
       var router = Router().use(subrouter.routes());
       expect(router.route('child')).to.have.property('name', 'child');
     });
+
+    it('namespaces the names of routers mounted with `as`', function () {
+      var users = new Router();
+      var posts = new Router();
+      var comments = new Router();
+      users.get('show', '/:id', function () {});
+      posts.get('show', '/:id', function () {});
+      comments.get('show', '/:id', function () {});
+      posts.use('/:postId/comments', comments, { as: 'comments' });
+
+      var router = new Router();
+      router.use('/users', users, { as: 'users' });
+      router.use('/posts', posts.routes(), { as: 'posts' });
+
+      router.route('users.show').should.have.property('path', '/users/:id');
+      router.route('posts.comments.show').should.have.property('path', '/posts/:postId/comments/:id');
+      router.route('show').should.equal(false);
+      router.url('posts.show', 5).should.equal('/posts/5');
+      users.route('show').should.have.property('path', '/:id');
+    });
+
+    it('namespaces routes registered for several paths after mounting', function () {
+      var child = new Router();
+      var parent = new Router();
+      parent.use('/p', child, { as: 'ns' });
+      child.register(['/a', '/b'], ['GET'], function () {}, { name: 'x' });
+
+      parent.stack.map(function (layer) {
+        return layer.name;
+      }).should.eql(['ns.x', 'ns.x']);
+      parent.url('ns.x').should.equal('/p/a');
+      child.url('x').should.equal('/a');
+      (function () {
+        child.get('x', '/c', function () {});
+      }).should.throw('Route name `x` is already taken');
+    });
+
+    it('mounts router instances given without options', function () {
+      var users = new Router();
+      var health = new Router();
+      users.get('user', '/:id', function () {});
+      health.get('health', '/health', function () {});
+
+      var router = new Router();
+      router.use('/users', users);
+      router.use(health);
+
+      router.stack.should.have.length(2);
+      router.url('user', 3).should.equal('/users/3');
+      router.route('health').should.have.property('path', '/health');
+    });
+
+    it('throws for names already taken', function () {
+      var router = new Router();
+      var users = new Router();
+      var posts = new Router();
+      router.get('show', '/', function () {});
+      users.get('show', '/:id', function () {});
+      posts.get('index', '/', function () {});
+
+      (function () {
+        router.get('show', '/other', function () {});
+      }).should.throw('Route name `show` is already taken');
+      (function () {
+        router.use('/users', users.routes());
+      }).should.throw('Route name `show` is already taken');
+
+      router.use('/users', users.routes(), { as: 'users' });
+      router.use('/posts', posts.routes());
+      (function () {
+        users.get('show', '/me', function () {});
+      }).should.throw('Route name `show` is already taken');
+      (function () {
+        posts.get('show', '/:id', function () {});
+      }).should.throw('Route name `show` is already taken');
+      router.register(['/c', '/d'], ['GET'], function () {}, { name: 'ab' });
+      router.stack.filter(function (layer) {
+        return layer.name === 'ab';
+      }).should.have.length(2);
+    });
+  });
+
+  describe('Router#remove()', function () {
+    function noop() {}
+
+    function mounted() {
+      var users = new Router();
+      users.get('user', '/:id', noop);
+      users.get('me', '/me', noop);
+      var api = new Router();
+      api.use('/users', users.routes());
+      var app = new Router();
+      app.use('/api', api.routes());
+      return { users: users, api: api, app: app };
+    }
+
+    it('removes a route by name from every router it was mounted into', function () {
+      var routers = mounted();
+      routers.users.remove('me');
+      routers.users.stack.should.have.length(1);
+      routers.api.stack.should.have.length(1);
+      routers.app.stack.should.have.length(1);
+      routers.app.match('/api/users/me', 'GET').route.should.equal(true);
+      routers.app.match('/api/users/me', 'GET').pathAndMethod[0].name.should.equal('user');
+    });
+
+    it('removes a route by method and path from the routers it came from', function () {
+      var routers = mounted();
+      routers.app.remove('GET /api/users/:id');
+      routers.users.getRoutes().map(function (route) {
+        return route.name;
+      }).should.eql(['me']);
+      routers.api.stack.should.have.length(1);
+    });
+
+    it('removes only the given method of a route', function () {
+      var router = new Router();
+      router.register('/items', ['get', 'post'], noop);
+      router.remove('GET /items');
+      router.stack[0].methods.should.eql(['POST']);
+      router.match('/items', 'GET').route.should.equal(false);
+      router.remove('post /items');
+      router.stack.should.have.length(0);
+    });
+
+    it('stops dispatching to removed routes', function (done) {
+      var app = new Koa();
+      var router = new Router({ matchCache: 10 });
+      router.get('beta', '/beta', function (ctx) {
+        ctx.body = 'beta';
+      });
+      app.use(router.routes());
+      var server = http.createServer(app.callback());
+      request(server)
+        .get('/beta')
+        .expect(200, 'beta')
+        .end(function (err) {
+          if (err) return done(err);
+          router.remove('beta');
+          request(server)
+            .get('/beta')
+            .expect(404)
+            .end(done);
+        });
+    });
+
+    it('throws for routes that do not exist', function () {
+      var router = new Router();
+      router.use(noop);
+      (function () {
+        router.remove('missing');
+      }).should.throw('No route found for: missing');
+      (function () {
+        router.remove('GET /missing');
+      }).should.throw('No route found for: GET /missing');
+      router.stack.should.have.length(1);
+    });
+  });
+
+  describe('Router#replace()', function () {
+    it('replaces route middleware in every router it was mounted into', function (done) {
+      var koa = new Koa();
+      var users = new Router();
+      var router = new Router();
+      users.get('user', '/users/:id', function (ctx) {
+        ctx.body = 'old';
+      });
+      router.use(users.routes());
+      router.param('id', function (id, ctx, next) {
+        ctx.state.id = id;
+        return next();
+      });
+      koa.use(router.routes());
+      router.replace('user', function (ctx, next) {
+        ctx.state.replaced = true;
+        return next();
+      }, function (ctx) {
+        ctx.body = { id: ctx.state.id, replaced: ctx.state.replaced };
+      });
+      request(http.createServer(koa.callback()))
+        .get('/users/3')
+        .expect(200, { id: '3', replaced: true })
+        .end(done);
+    });
+
+    it('throws for unknown routes and invalid middleware', function () {
+      var router = new Router();
+      router.get('user', '/users/:id', function () {});
+      (function () {
+        router.replace('missing', function () {});
+      }).should.throw('No route found for: missing');
+      (function () {
+        router.replace('GET /users/:id', [null]);
+      }).should.throw('HEAD,GET `user`: `middleware` must be a function, not `object`');
+    });
+  });
+
+  describe('Router#match()', function () {
+    function noop() {}
+
+    it('returns matched layers in registration order', function () {
+      var router = new Router();
+      router.use(noop);
+      router.get('/users/:id', noop);
+      router.get('/posts/:id', noop);
+      router.post('/users/me', noop);
+      router.get('/users/me', noop);
+      var matched = router.match('/users/me', 'GET');
+      matched.path.map(function (layer) { return layer.path; })
+        .should.eql(['(.*)', '/users/:id', '/users/me', '/users/me']);
+      matched.pathAndMethod.should.eql([
+        router.stack[0], router.stack[1], router.stack[4]
+      ]);
+      matched.route.should.be.true;
+    });
+
+    it('sees routes registered and re-prefixed after the first match', function () {
+      var router = new Router();
+      router.get('/users', noop);
+      router.match('/users', 'GET').route.should.be.true;
+      router.get('/posts', noop);
+      router.match('/posts', 'GET').route.should.be.true;
+      router.prefix('/api');
+      router.match('/users', 'GET').route.should.be.false;
+      router.match('/api/users', 'GET').route.should.be.true;
+    });
+
+    it('sees nested router layers under their mount path', function () {
+      var child = new Router();
+      var router = new Router();
+      child.get('/users', noop);
+      router.use('/api', child.routes());
+      router.match('/api/users', 'GET').route.should.be.true;
+      child.match('/users', 'GET').route.should.be.true;
+      child.match('/api/users', 'GET').route.should.be.false;
+    });
+
+    describe('with opts.matchCache', function () {
+      it('skips regexp evaluation for cached paths', function () {
+        var router = new Router({ matchCache: 10 });
+        router.get('/health', noop);
+        var layer = router.stack[0];
+        var tests = 0;
+        var match = layer.match;
+        layer.match = function (path) {
+          tests++;
+          return match.call(this, path);
+        };
+        router.match('/health', 'GET').route.should.be.true;
+        router.match('/health', 'GET').route.should.be.true;
+        tests.should.equal(1);
+        router.match('/health', 'POST').route.should.be.false;
+        tests.should.equal(2);
+      });
+
+      it('keys results by method, constraints and path in any case', function () {
+        var router = new Router({ matchCache: 10 });
+        router.get('/health', noop);
+        router.post('/items', { consumes: ['application/json'], produces: ['text/csv'] }, noop);
+        var layer = router.stack[0];
+        var tests = 0;
+        var match = layer.match;
+        layer.match = function (path) {
+          tests++;
+          return match.call(this, path);
+        };
+        router.match('/health', 'GET').route.should.be.true;
+        router.match('/HEALTH', 'GET').route.should.be.true;
+        tests.should.equal(1);
+
+        router.match('/items', 'POST', {
+          type: 'application/json',
+          accept: 'text/csv, text/html'
+        }).route.should.be.true;
+        router.match('/items', 'POST', {
+          type: 'application/json text/csv,',
+          accept: 'text/html'
+        }).route.should.be.false;
+      });
+
+      it('keeps paths apart in another case for case sensitive routes', function () {
+        var router = new Router({ matchCache: 10 });
+        router.get('/health', { sensitive: true }, noop);
+        router.match('/health', 'GET').route.should.be.true;
+        router.match('/HEALTH', 'GET').route.should.be.false;
+      });
+
+      it('does not share result arrays between calls', function () {
+        var router = new Router({ matchCache: 10 });
+        router.get('/health', noop);
+        router.match('/health', 'GET').path.push('extra');
+        router.match('/health', 'GET').path.should.have.length(1);
+      });
+
+      it('is invalidated when the stack changes', function () {
+        var router = new Router({ matchCache: 10 });
+        var child = new Router();
+        router.match('/users', 'GET').route.should.be.false;
+        router.get('/users', noop);
+        router.match('/users', 'GET').route.should.be.true;
+        router.prefix('/api');
+        router.match('/users', 'GET').route.should.be.false;
+        child.get('/posts', noop);
+        router.match('/api/posts', 'GET').route.should.be.false;
+        router.use(child.routes());
+        router.match('/api/posts', 'GET').route.should.be.true;
+        router.stack.push(new Layer('/api/comments', ['GET'], noop));
+        router.match('/api/comments', 'GET').route.should.be.true;
+      });
+    });
+  });
+
+  describe('Router#getRoutes()', function () {
+    it('describes registered routes with their full path', function () {
+      var router = new Router({ prefix: '/api' });
+      var child = new Router();
+      router.use(function session(ctx, next) {
+        return next();
+      });
+      router.get('user', '/users/:id', function auth() {}, function show() {});
+      child.post('/posts/:slug?', function create() {});
+      router.use('/v1', child.routes());
+      var routes = router.getRoutes();
+      routes.should.have.length(3);
+      routes[0].should.have.properties({
+        methods: [],
+        path: '/api(.*)',
+        end: false
+      });
+      routes[1].should.eql({
+        name: 'user',
+        methods: ['HEAD', 'GET'],
+        path: '/api/users/:id',
+        host: null,
+        versions: [],
+        consumes: [],
+        produces: [],
+        params: [{ name: 'id', type: null, modifier: '', optional: false, repeat: false }],
+        middleware: { count: 2, names: ['auth', 'show'] },
+        sensitive: false,
+        strict: false,
+        end: true
+      });
+      routes[2].should.have.properties({
+        methods: ['POST'],
+        path: '/api/v1/posts/:slug?'
+      });
+      routes[2].params[0].should.have.property('modifier', '?');
+    });
+
+    it('returns copies that do not affect the router', function () {
+      var router = new Router();
+      router.get('/users', function () {});
+      router.getRoutes()[0].methods.push('POST');
+      router.stack[0].methods.should.eql(['HEAD', 'GET']);
+    });
   });
 
   describe('Router#url()', function () {
@@ -1224,6 +2429,117 @@ describe('Router', function () {
         url.should.equal('/category?page=3&limit=10');
         done();
     })
+
+    it('throws for unknown route names', function() {
+      var router = new Router();
+      (function () {
+        router.url('missing');
+      }).should.throw('No route found for name: missing', { code: 'ERR_ROUTE_NOT_FOUND' });
+    });
+
+    it('throws for missing params', function() {
+      var router = new Router();
+      router.get('user', '/users/:id', function () {});
+      (function () {
+        router.url('user', {});
+      }).should.throw('Missing param "id" for route `user`', { code: 'ERR_MISSING_PARAM' });
+    });
+  });
+
+  describe('ctx.urlFor()', function () {
+    it('generates absolute URLs from the request origin', function (done) {
+      var app = new Koa();
+      var router = new Router();
+      router.get('user', '/users/:id', function (ctx) {
+        ctx.body = {
+          self: ctx.urlFor('user', ctx.params.id, { query: { tab: 'posts' } }),
+          home: ctx.urlFor('home'),
+          homeWithoutParams: ctx.urlFor('home', null)
+        };
+      });
+      router.get('home', '/', function () {});
+      app.use(router.routes());
+      request(http.createServer(app.callback()))
+        .get('/users/3')
+        .set('Host', 'example.com')
+        .expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          res.body.should.eql({
+            self: 'http://example.com/users/3?tab=posts',
+            home: 'http://example.com/',
+            homeWithoutParams: 'http://example.com/'
+          });
+          done();
+        });
+    });
+
+    it('uses the baseUrl option', function (done) {
+      var app = new Koa();
+      var router = new Router({ baseUrl: 'https://example.com/app/' });
+      router.get('user', '/users/:id', function (ctx) {
+        ctx.body = [
+          ctx.urlFor('user', { id: 3 }),
+          ctx.urlFor('user', { id: 3 }, { baseUrl: 'https://api.example.com' })
+        ];
+      });
+      app.use(router.routes());
+      request(http.createServer(app.callback()))
+        .get('/users/3')
+        .expect(200, ['https://example.com/app/users/3', 'https://api.example.com/users/3'])
+        .end(done);
+    });
+
+    it('resolves names across the mounted router tree', function (done) {
+      var app = new Koa();
+      var router = new Router({ prefix: '/api' });
+      var users = new Router();
+      var posts = new Router();
+      users.get('user', '/:id', function (ctx) {
+        ctx.body = [ctx.urlFor('post', { id: 5 }), ctx.urlFor('user', { id: 3 })];
+      });
+      posts.get('post', '/:id', function () {});
+      router.use('/users', users.routes());
+      router.use('/posts', posts.routes());
+      app.use(users.routes());
+      request(http.createServer(app.callback()))
+        .get('/3')
+        .set('Host', 'example.com')
+        .expect(200, ['http://example.com/api/posts/5', 'http://example.com/api/users/3'])
+        .end(done);
+    });
+
+    it('uses the hostname the route is restricted to', function (done) {
+      var app = new Koa();
+      var router = new Router();
+      router.get('docs', '/docs', { host: 'docs.example.com' }, function () {});
+      router.get('/', function (ctx) {
+        ctx.body = ctx.urlFor('docs');
+      });
+      app.use(router.routes());
+      request(http.createServer(app.callback()))
+        .get('/')
+        .set('Host', 'example.com')
+        .expect(200, 'http://docs.example.com/docs')
+        .end(done);
+    });
+
+    it('throws for unknown route names', function (done) {
+      var app = new Koa();
+      var router = new Router();
+      router.get('/', function (ctx) {
+        try {
+          ctx.urlFor('missing');
+        } catch (err) {
+          ctx.body = err.code;
+        }
+      });
+      app.use(router.routes());
+      request(http.createServer(app.callback()))
+        .get('/')
+        .expect(200, 'ERR_ROUTE_NOT_FOUND')
+        .end(done);
+    });
   });
 
   describe('Router#param()', function () {
@@ -1358,6 +2674,98 @@ describe('Router', function () {
         done();
       });
     });
+
+    it('runs parent param middleware registered after mounting', function (done) {
+      var app = new Koa();
+      var router = new Router();
+      var posts = new Router();
+      posts.get('/:post', function (ctx) {
+        ctx.body = ctx.state.loaded;
+      });
+      router.use('/users/:user/posts', posts.routes());
+      posts.param('post', function (id, ctx, next) {
+        ctx.state.loaded.push('post ' + id);
+        return next();
+      });
+      router.param('user', function (id, ctx, next) {
+        ctx.state.loaded = ['user ' + id];
+        return next();
+      });
+
+      request(http.createServer(app.use(router.routes()).callback()))
+        .get('/users/3/posts/7')
+        .expect(200, ['user 3', 'post 7'])
+        .end(done);
+    });
+
+    it('runs param middleware of every nesting level, outermost first', function (done) {
+      var app = new Koa();
+      var router = new Router();
+      var users = new Router();
+      users.param('id', function (id, ctx, next) {
+        ctx.state.calls.push('child');
+        return next();
+      });
+      users.get('/:id', function (ctx) {
+        ctx.body = ctx.state.calls;
+      });
+      router.param('id', function (id, ctx, next) {
+        ctx.state.calls = ['parent'];
+        return next();
+      });
+      router.use('/users', users.routes());
+
+      request(http.createServer(app.use(router.routes()).callback()))
+        .get('/users/1')
+        .expect(200, ['parent', 'child'])
+        .end(done);
+    });
+
+    it('runs each param middleware once per request', function (done) {
+      var app = new Koa();
+      var router = new Router();
+      var users = new Router();
+      var calls = 0;
+      function load(id, ctx, next) {
+        calls++;
+        return next();
+      }
+      router.param('id', load);
+      users.param('id', load);
+      users.use('/:id', function (ctx, next) {
+        return next();
+      });
+      users.get('/:id', function (ctx) {
+        ctx.body = { calls: calls };
+      });
+      router.use('/users', users.routes());
+
+      request(http.createServer(app.use(router.routes()).callback()))
+        .get('/users/1')
+        .expect(200, { calls: 1 })
+        .end(done);
+    });
+
+    it('runs param middleware of typed params once per request', function (done) {
+      var app = new Koa();
+      var router = new Router();
+      var calls = 0;
+      router.param('ts', function (ts, ctx, next) {
+        calls++;
+        return next();
+      });
+      router.use('/logs/:ts<date>', function (ctx, next) {
+        return next();
+      });
+      router.get('/logs/:ts<date>', function (ctx) {
+        ctx.body = { calls: calls, date: ctx.params.ts instanceof Date };
+      });
+
+      request(http.createServer(app.use(router.routes()).callback()))
+        .get('/logs/2018-07-02T00:00:00.000Z')
+        .expect(200, { calls: 1, date: true })
+        .end(done);
+    });
   });
 
   describe('Router#opts', function () {
@@ -0,0 +1,74 @@
+/**
+ * Route specificity tests
+ */
+
+var Layer = require('../../lib/layer')
+  , specificity = require('../../lib/specificity')
+  , should = require('should');
+
+describe('specificity()', function() {
+  function noop() {}
+
+  function layer(path, methods) {
+    return new Layer(path, methods || ['GET'], noop);
+  }
+
+  function paths(layers) {
+    return specificity(layers).map(function (layer) {
+      return String(layer.path);
+    });
+  }
+
+  it('sorts static segments before params before wildcards', function() {
+    paths([
+      layer(/^\/users\/.*/),
+      layer('/users/:rest*'),
+      layer('/users/:id'),
+      layer('/users/:id(\\d+)'),
+      layer('/users/me')
+    ]).should.eql([
+      '/users/me',
+      '/users/:id(\\d+)',
+      '/users/:id',
+      '/users/:rest*',
+      '/^\\/users\\/.*/'
+    ]);
+  });
+
+  it('compares paths segment by segment', function() {
+    paths([
+      layer('/:type/:id'),
+      layer('/:type/new'),
+      layer('/users/:id')
+    ]).should.eql(['/users/:id', '/:type/new', '/:type/:id']);
+  });
+
+  it('prefers a path ending to an optional param', function() {
+    paths([
+      layer('/users/:id?'),
+      layer('/users')
+    ]).should.eql(['/users', '/users/:id?']);
+  });
+
+  it('keeps the registration order of equally specific routes', function() {
+    var first = layer('/users/:id');
+    var second = layer('/users/:name');
+    specificity([first, second]).should.eql([first, second]);
+  });
+
+  it('keeps middleware in place', function() {
+    paths([
+      layer('/users/:id'),
+      layer('/users', []),
+      layer('/users/me')
+    ]).should.eql(['/users/me', '/users', '/users/:id']);
+  });
+
+  it('follows path changes from prefixes', function() {
+    var a = layer('/:id');
+    var b = layer('/me');
+    specificity.compare(a, b).should.be.above(0);
+    a.setPrefix('/users');
+    specificity.compare(a, b).should.be.below(0);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Route table tests
+ */
+
+var Koa = require('koa')
+  , http = require('http')
+  , request = require('supertest')
+  , Router = require('../../lib/router')
+  , should = require('should');
+
+describe('Route tables', function() {
+  var users = {
+    show: function (ctx) {
+      ctx.body = { id: ctx.params.id, user: ctx.state.user };
+    },
+    update: function (ctx) {
+      ctx.status = 204;
+    }
+  };
+
+  function auth(ctx, next) {
+    ctx.state.user = 'alex';
+    return next();
+  }
+
+  var rows = [
+    { method: 'GET', path: '/users/:id', handler: 'users.show', middleware: ['auth'], name: 'user' },
+    { method: ['PUT', 'PATCH'], path: '/users/:id', handler: 'users.update', middleware: ['auth'] }
+  ];
+
+  describe('Router.fromTable()', function() {
+    it('registers the routes of the table', function(done) {
+      var router = Router.fromTable(rows, {
+        handlers: { users: users },
+        middleware: { auth: auth },
+        router: { prefix: '/api' }
+      });
+
+      router.stack.should.have.length(2);
+      router.stack[1].methods.should.eql(['PUT', 'PATCH']);
+      router.url('user', 3).should.equal('/api/users/3');
+
+      var app = new Koa();
+      request(http.createServer(app.use(router.routes()).callback()))
+        .get('/api/users/3')
+        .expect(200, { id: '3', user: 'alex' })
+        .end(done);
+    });
+
+    it('passes other properties on as route options', function() {
+      var router = Router.fromTable([
+        { path: '/status', handler: function status() {}, host: 'api.example.com', meta: { summary: 'Status' } }
+      ]);
+
+      router.stack[0].methods.should.containEql('POST');
+      router.stack[0].host.should.equal('api.example.com');
+      router.stack[0].opts.meta.should.eql({ summary: 'Status' });
+    });
+
+    it('throws for unknown handlers and middleware', function() {
+      (function () {
+        Router.fromTable(rows, { handlers: { users: users } });
+      }).should.throw('Route table row 0 (GET /users/:id): unknown middleware `auth`');
+      (function () {
+        Router.fromTable([{ method: 'get', path: '/', handler: 'home' }]);
+      }).should.throw('Route table row 0 (GET /): unknown handler `home`');
+    });
+  });
+
+  describe('Router#toTable()', function() {
+    it('exports the routes in the table format', function() {
+      var router = Router.fromTable(rows, {
+        handlers: { users: users },
+        middleware: { auth: auth }
+      });
+      router.use(function logger(ctx, next) {
+        return next();
+      });
+      router.post('/users', { version: '2' }, function create() {});
+      router.all('/ping', function ping() {});
+
+      router.toTable({ handlers: { users: users } }).should.eql(rows.concat({
+        method: 'POST',
+        path: '/users',
+        handler: 'create',
+        middleware: [],
+        version: '2'
+      }, {
+        method: 'all',
+        path: '/ping',
+        handler: 'ping',
+        middleware: []
+      }));
+    });
+
+    it('round-trips through Router.fromTable()', function() {
+      var options = { handlers: { users: users }, middleware: { auth: auth }, router: { prefix: '/api' } };
+      var table = Router.fromTable(rows, options).toTable(options);
+      table.should.eql(rows);
+      var router = Router.fromTable(table, options);
+      router.toTable(options).should.eql(table);
+      router.url('user', 3).should.equal('/api/users/3');
+    });
+  });
+});
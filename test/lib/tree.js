@@ -0,0 +1,83 @@
+/**
+ * Tree tests
+ */
+
+var Layer = require('../../lib/layer')
+  , Tree = require('../../lib/tree')
+  , should = require('should');
+
+describe('Tree', function() {
+  function noop() {}
+
+  function layer(path, opts) {
+    return new Layer(path, ['GET'], noop, opts);
+  }
+
+  describe('Tree#lookup()', function() {
+    it('returns only layers whose static segments match', function() {
+      var tree = new Tree([
+        layer('/users'),
+        layer('/posts/:id'),
+        layer('/users/:id'),
+        layer('/users/me/settings')
+      ]);
+      tree.lookup('/users/42').should.eql([0, 2]);
+      tree.lookup('/posts/1').should.eql([1]);
+      tree.lookup('/users/me/settings').should.eql([0, 2, 3]);
+      tree.lookup('/comments').should.eql([]);
+    });
+
+    it('returns candidates in registration order', function() {
+      var tree = new Tree([
+        layer('/a/b/c'),
+        layer('(.*)', { end: false }),
+        layer('/a/:b'),
+        layer('/a')
+      ]);
+      tree.lookup('/a/b/c').should.eql([0, 1, 2, 3]);
+    });
+
+    it('always returns regexp paths and paths starting with a parameter', function() {
+      var tree = new Tree([
+        layer(/^\/users/),
+        layer('/:category/:title'),
+        layer('/files')
+      ]);
+      tree.lookup('/anything').should.eql([0, 1]);
+    });
+
+    it('does not index partial segments', function() {
+      var tree = new Tree([
+        layer('/files.:ext'),
+        layer('/v(\\d+)/status'),
+        layer('/users/:id')
+      ]);
+      tree.lookup('/files.json').should.eql([0, 1]);
+      tree.lookup('/v2/status').should.eql([0, 1]);
+    });
+
+    it('respects the sensitive option', function() {
+      var tree = new Tree([
+        layer('/Users'),
+        layer('/Users', { sensitive: true })
+      ]);
+      tree.lookup('/USERS').should.eql([0]);
+      tree.lookup('/Users').should.eql([0, 1]);
+    });
+
+    it('ignores trailing and repeated slashes', function() {
+      var tree = new Tree([
+        layer('/users/'),
+        layer('/users/:id')
+      ]);
+      tree.lookup('/users').should.eql([0, 1]);
+      tree.lookup('/users//1/').should.eql([0, 1]);
+    });
+
+    it('is not confused by Object.prototype properties', function() {
+      var tree = new Tree([layer('/users')]);
+      tree.lookup('/constructor').should.eql([]);
+      tree.lookup('/__proto__/users').should.eql([]);
+    });
+  });
+});
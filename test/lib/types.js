@@ -0,0 +1,68 @@
+/**
+ * Param type tests
+ */
+
+var Koa = require('koa')
+  , http = require('http')
+  , request = require('supertest')
+  , Router = require('../../lib/router')
+  , types = require('../../lib/types')
+  , should = require('should');
+
+describe('types', function() {
+  describe('types.parse()', function() {
+    it('gives typed params the pattern of their type', function() {
+      var tokens = types.parse('/users/:id<int>/posts/:slug?');
+      tokens[1].should.have.properties({ name: 'id', type: 'int', pattern: '-?\\d+', partial: false });
+      tokens[2].should.equal('/posts');
+      tokens[3].should.have.properties({ name: 'slug', optional: true });
+      tokens[3].should.not.have.property('type');
+    });
+
+    it('keeps modifiers after the type', function() {
+      var tokens = types.parse('/files/:ids<int>*');
+      tokens[1].should.have.properties({ name: 'ids', type: 'int', optional: true, repeat: true });
+    });
+
+    it('throws for unknown types', function() {
+      (function () {
+        types.parse('/users/:id<integer>');
+      }).should.throw('Unknown param type `integer` in `/users/:id<integer>`');
+    });
+  });
+
+  describe('Router.paramType()', function() {
+    it('registers custom types', function(done) {
+      Router.paramType('slug', { pattern: /[a-z0-9]+(?:-[a-z0-9]+)*/ });
+      Router.paramType('csv', {
+        pattern: '[^\\/]+',
+        parse: function (value) { return value.split(','); },
+        format: function (value) { return value.join(','); }
+      });
+      var app = new Koa();
+      var router = new Router();
+      router.get('post', '/posts/:slug<slug>/:tags<csv>', function (ctx) {
+        ctx.body = ctx.params;
+      });
+      router.url('post', { slug: 'hello-world', tags: ['a', 'b'] })
+        .should.equal('/posts/hello-world/a%2Cb');
+      request(http.createServer(app.use(router.routes()).callback()))
+      .get('/posts/hello-world/a,b')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return done(err);
+        res.body.should.eql({ slug: 'hello-world', tags: ['a', 'b'] });
+        done();
+      });
+    });
+
+    it('rejects invalid definitions', function() {
+      (function () {
+        Router.paramType('my-type', { pattern: '.+' });
+      }).should.throw('Param type name must be a word, not `my-type`');
+      (function () {
+        Router.paramType('empty', {});
+      }).should.throw('Param type `empty` needs a `pattern`');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Request validation tests
+ */
+
+var Koa = require('koa')
+  , http = require('http')
+  , request = require('supertest')
+  , Router = require('../../lib/router')
+  , validate = require('../../lib/validate')
+  , should = require('should');
+
+describe('validate', function() {
+  function errors(schemas, ctx) {
+    return validate.errors(schemas, Object.assign({
+      params: {}, query: {}, headers: {}, request: {}
+    }, ctx));
+  }
+
+  it('reads numbers and booleans from strings in params, query and headers', function() {
+    var schemas = {
+      params: { properties: { id: { type: 'integer', minimum: 1 } } },
+      query: { properties: { draft: { type: 'boolean' }, tags: { type: 'array', items: { type: 'string' } } } },
+      headers: { properties: { 'x-count': { type: 'number' } } }
+    };
+    errors(schemas, {
+      params: { id: '42' },
+      query: { draft: 'false', tags: 'a' },
+      headers: { 'x-count': '1.5' }
+    }).should.eql([]);
+    errors(schemas, {
+      params: { id: '0' },
+      query: { draft: 'no' },
+      headers: { 'x-count': 'many' }
+    }).should.eql([
+      { in: 'params', path: 'id', message: 'must be at least 1' },
+      { in: 'query', path: 'draft', message: 'must be boolean' },
+      { in: 'headers', path: 'x-count', message: 'must be number' }
+    ]);
+  });
+
+  it('does not read types from strings in the body', function() {
+    errors({ body: { properties: { id: { type: 'integer' } } } }, {
+      request: { body: { id: '42' } }
+    }).should.eql([{ in: 'body', path: 'id', message: 'must be integer' }]);
+  });
+
+  it('checks nested objects and arrays', function() {
+    var schema = {
+      type: 'object',
+      required: ['name', 'address'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 3 },
+        role: { enum: ['admin', 'user'] },
+        address: {
+          type: 'object',
+          required: ['zip'],
+          properties: { zip: { type: 'string', pattern: '^\\d{5}$' } }
+        },
+        tags: { type: 'array', maxItems: 2, items: { type: 'string' } }
+      }
+    };
+    errors({ body: schema }, {
+      request: {
+        body: {
+          name: 'alexander',
+          role: 'root',
+          address: { zip: 'abc' },
+          tags: ['a', 1, 'c'],
+          extra: true
+        }
+      }
+    }).should.eql([
+      { in: 'body', path: 'name', message: 'must have at most 3 characters' },
+      { in: 'body', path: 'role', message: 'must be one of "admin", "user"' },
+      { in: 'body', path: 'address.zip', message: 'must match ^\\d{5}$' },
+      { in: 'body', path: 'tags', message: 'must have at most 2 items' },
+      { in: 'body', path: 'tags.1', message: 'must be string' },
+      { in: 'body', path: 'extra', message: 'is not allowed' }
+    ]);
+    errors({ body: schema }, { request: {} }).should.eql([
+      { in: 'body', path: 'name', message: 'is required' },
+      { in: 'body', path: 'address', message: 'is required' }
+    ]);
+  });
+
+  describe('route option', function() {
+    function app(router) {
+      var app = new Koa();
+      app.use(function (ctx, next) {
+        ctx.request.body = ctx.get('x-body') ? JSON.parse(ctx.get('x-body')) : undefined;
+        return next();
+      });
+      return http.createServer(app.use(router.routes()).callback());
+    }
+
+    var router = new Router();
+    router.param('id', function (id, ctx, next) {
+      ctx.loaded = true;
+      return next();
+    });
+    router.post('createPost', '/users/:id/posts', {
+      validate: {
+        params: { properties: { id: { type: 'integer' } } },
+        query: { properties: { notify: { type: 'boolean' } } },
+        body: {
+          type: 'object',
+          required: ['title'],
+          properties: { title: { type: 'string' } }
+        }
+      }
+    }, function (ctx) {
+      ctx.body = { loaded: !!ctx.loaded, title: ctx.request.body.title };
+    });
+
+    it('responds with 400 listing every failing field', function(done) {
+      request(app(router))
+      .post('/users/abc/posts?notify=maybe')
+      .set('x-body', '{}')
+      .expect(400)
+      .end(function(err, res) {
+        if (err) return done(err);
+        res.body.should.eql({
+          status: 400,
+          message: 'Invalid request',
+          errors: [
+            { in: 'params', path: 'id', message: 'must be integer' },
+            { in: 'query', path: 'notify', message: 'must be boolean' },
+            { in: 'body', path: 'title', message: 'is required' }
+          ]
+        });
+        done();
+      });
+    });
+
+    it('runs the route middleware for valid requests', function(done) {
+      request(app(router))
+      .post('/users/1/posts?notify=true')
+      .set('x-body', '{"title":"hello"}')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return done(err);
+        res.body.should.eql({ loaded: true, title: 'hello' });
+        done();
+      });
+    });
+
+    it('documents the route in toOpenAPI()', function() {
+      var post = router.toOpenAPI().paths['/users/{id}/posts'].post;
+      post.parameters.should.eql([
+        { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+        { name: 'notify', in: 'query', required: false, schema: { type: 'boolean' } }
+      ]);
+      post.requestBody.content['application/json'].schema.required.should.eql(['title']);
+    });
+  });
+});